@@ -0,0 +1,289 @@
+import { htmlToMarkdown } from "./html.js";
+import { isRereadable, rereadable } from "./stream.js";
+
+/**
+ * The export formats that can be converted. ChatGPT conversations are used as they are; the others are normalized
+ * into ChatGPT's `mapping` tree before rendering.
+ */
+export const FORMATS = ["chatgpt", "claude", "gemini"];
+
+/**
+ * The Takeout product names of Google's assistant activity, current and former.
+ */
+const GEMINI_PRODUCTS = ["Gemini Apps", "Bard"];
+
+/**
+ * Detects the export format of a conversation or activity entry.
+ * @param {Object} item - An element of the export's top-level array.
+ * @returns {string|null} - "chatgpt", "claude" or "gemini", or null if the format is not recognized.
+ * @example
+ * detectFormat({ uuid: "…", name: "Trip", chat_messages: [] }); //=> "claude"
+ */
+export function detectFormat(item) {
+  if (!item || typeof item !== "object") return null;
+  if (item.mapping) return "chatgpt";
+  if (Array.isArray(item.chat_messages)) return "claude";
+  if (GEMINI_PRODUCTS.includes(item.header) || item.products?.some((product) => GEMINI_PRODUCTS.includes(product))) {
+    return "gemini";
+  }
+  return null;
+}
+
+/**
+ * Converts an ISO date to the seconds since the epoch used by ChatGPT exports.
+ * @param {string} [date] - The ISO date.
+ * @returns {number|null} - The time in seconds, or null if the date is missing or invalid.
+ */
+function toSeconds(date) {
+  const time = Date.parse(date ?? "");
+  return Number.isNaN(time) ? null : time / 1000;
+}
+
+/**
+ * Builds a ChatGPT-style conversation from a list of messages.
+ * @param {Object} conversation - The conversation fields, e.g. `id`, `title`, `create_time` and `source_url`.
+ * @param {Object[]} messages - The messages, in order. Each has an `id`, an optional `parent` id (the previous message
+ *   by default; null for a root) and the ChatGPT `message` fields: `author`, `create_time`, `content`, ...
+ * @returns {Object} - The conversation, with a `mapping` tree whose `current_node` is the last message.
+ */
+function buildConversation(conversation, messages) {
+  const mapping = {};
+  let previous = null;
+  for (const { id, parent = previous, ...message } of messages) {
+    const parentId = parent && mapping[parent] ? parent : null;
+    mapping[id] = { id, parent: parentId, children: [], message: { id, metadata: {}, ...message } };
+    if (parentId) mapping[parentId].children.push(id);
+    previous = id;
+  }
+  // Notes take their file times from the conversation, so missing ones fall back to the messages' times
+  const times = messages.map((message) => message.create_time).filter(Boolean);
+  const create_time = conversation.create_time ?? times[0] ?? null;
+  const update_time = conversation.update_time ?? times.at(-1) ?? create_time;
+  return {
+    ...conversation,
+    conversation_id: conversation.id,
+    create_time,
+    update_time,
+    mapping,
+    current_node: previous,
+  };
+}
+
+/**
+ * Titles a conversation after the first line of its first prompt, for exports without titles.
+ * @param {Object[]} messages - The conversation's messages, in order.
+ * @returns {string} - The title, shortened to 80 characters, or "Untitled" if there is no prompt text.
+ */
+function promptTitle(messages) {
+  const prompt = messages.find((message) => message.author.role === "user" && message.content.content_type === "text");
+  const line = (prompt?.content.parts.join("\n") ?? "")
+    .split("\n")
+    .map((text) => text.trim())
+    .find(Boolean);
+  if (!line) return "Untitled";
+  return line.length > 80 ? `${line.slice(0, 79)}…` : line;
+}
+
+/**
+ * Renders the text files attached to a Claude message, whose contents the export includes.
+ * @param {Object[]} [attachments] - The message's attachments.
+ * @returns {string[]} - One fenced block per attachment with extracted content.
+ */
+function claudeAttachments(attachments = []) {
+  return attachments
+    .filter((attachment) => attachment.extracted_content)
+    .map((attachment) => `${attachment.file_name ?? "Attachment"}:\n\n\`\`\`\n${attachment.extracted_content}\n\`\`\``);
+}
+
+/**
+ * Converts the content blocks of a Claude message into ChatGPT messages: text, thinking (as reasoning), tool calls
+ * and tool results.
+ * @param {Object} message - The Claude chat message.
+ * @returns {Object[]} - The messages, without ids.
+ */
+function claudeBlocks(message) {
+  const role = message.sender === "human" ? "user" : "assistant";
+  const create_time = toSeconds(message.created_at);
+  // Older exports only have the message's text
+  const blocks = message.content?.length ? message.content : [{ type: "text", text: message.text ?? "" }];
+  const messages = [];
+  const text = (parts, author = { role }) => ({ author, create_time, content: { content_type: "text", parts } });
+  for (const block of blocks) {
+    if (block.type === "text") {
+      messages.push(text([block.text ?? ""]));
+    } else if (block.type === "thinking") {
+      const summary = block.summaries?.at(-1)?.summary ?? "Thinking";
+      messages.push({
+        author: { role },
+        create_time,
+        content: { content_type: "thoughts", thoughts: [{ summary, content: block.thinking ?? "" }] },
+        metadata: { reasoning_status: "is_reasoning" },
+      });
+    } else if (block.type === "tool_use") {
+      messages.push({
+        author: { role },
+        create_time,
+        recipient: block.name,
+        content: { content_type: "code", language: "json", text: JSON.stringify(block.input ?? {}, null, 2) },
+      });
+    } else if (block.type === "tool_result") {
+      const result = Array.isArray(block.content)
+        ? block.content.map((part) => part.text ?? "").filter(Boolean)
+        : [String(block.content ?? "")];
+      messages.push(text(result, { role: "tool", name: block.name }));
+    }
+  }
+
+  const attached = claudeAttachments(message.attachments);
+  if (attached.length) {
+    const last = messages.findLast((m) => m.content.content_type === "text" && m.author.role === role);
+    if (last) last.content.parts.push(...attached);
+    else messages.push(text(attached));
+  }
+  return messages;
+}
+
+/**
+ * Converts a conversation of a Claude export (`conversations.json` from claude.ai) into the ChatGPT model. Edited
+ * prompts and retried replies become branches when the export records `parent_message_uuid`.
+ * @param {Object} conversation - The Claude conversation, with `uuid`, `name` and `chat_messages`.
+ * @returns {Object} - The ChatGPT-style conversation.
+ * @example
+ * const conversation = claudeToConversation(JSON.parse(fs.readFileSync("conversations.json", "utf8"))[0]);
+ */
+export function claudeToConversation(conversation) {
+  const messages = [];
+  let previous = null;
+  for (const message of conversation.chat_messages) {
+    const blocks = claudeBlocks(message);
+    if (!blocks.length) continue;
+    // A message's blocks are chained, so replies attach to its last block, which keeps the message's uuid
+    let parent = message.parent_message_uuid ?? previous;
+    blocks.forEach((block, index) => {
+      const id = index === blocks.length - 1 ? message.uuid : `${message.uuid}-${index}`;
+      messages.push({ id, parent, ...block });
+      parent = id;
+    });
+    previous = message.uuid;
+  }
+  return buildConversation(
+    {
+      id: conversation.uuid,
+      // Untitled chats are common, e.g. when the first reply failed
+      title: conversation.name?.trim() || promptTitle(messages),
+      create_time: toSeconds(conversation.created_at),
+      update_time: toSeconds(conversation.updated_at),
+      source_url: conversation.uuid ? `https://claude.ai/chat/${conversation.uuid}` : null,
+    },
+    messages,
+  );
+}
+
+/**
+ * Groups the prompts of a Google Takeout Gemini activity export (`My Activity/Gemini Apps/MyActivity.json`) into
+ * conversations. The activity log has no conversation ids, so prompts less than `sessionGap` apart are considered
+ * the same conversation.
+ * @param {Object[]} activities - The activity entries.
+ * @param {Object} [options] - The options object.
+ * @param {number} [options.sessionGap=1800000] - The longest pause within a conversation, in milliseconds.
+ * @returns {Object[]} - The ChatGPT-style conversations, oldest first.
+ * @example
+ * const conversations = geminiToConversations(JSON.parse(fs.readFileSync("MyActivity.json", "utf8")));
+ */
+export function geminiToConversations(activities, { sessionGap = 30 * 60 * 1000 } = {}) {
+  // Only prompts have a response; other entries record settings changes and feedback
+  const prompts = activities
+    .filter((activity) => activity.safeHtmlItem?.length && !Number.isNaN(Date.parse(activity.time)))
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+  const sessions = [];
+  for (const activity of prompts) {
+    const last = sessions.at(-1)?.at(-1);
+    if (last && Date.parse(activity.time) - Date.parse(last.time) <= sessionGap) sessions.at(-1).push(activity);
+    else sessions.push([activity]);
+  }
+
+  return sessions.map((session) => {
+    const id = `gemini-${Date.parse(session[0].time)}`;
+    const messages = session.flatMap((activity, index) => {
+      const create_time = toSeconds(activity.time);
+      const prompt = (activity.title ?? "").replace(/^Prompted /, "");
+      const response = activity.safeHtmlItem.map((item) => htmlToMarkdown(item.html ?? "")).join("\n\n");
+      return [
+        {
+          id: `${id}-${index}-prompt`,
+          author: { role: "user" },
+          create_time,
+          content: { content_type: "text", parts: [prompt] },
+        },
+        {
+          id: `${id}-${index}-response`,
+          author: { role: "assistant" },
+          create_time,
+          content: { content_type: "text", parts: [response] },
+        },
+      ];
+    });
+    return buildConversation(
+      {
+        id,
+        title: promptTitle(messages),
+        create_time: toSeconds(session[0].time),
+        update_time: toSeconds(session.at(-1).time),
+        source_url: null,
+      },
+      messages,
+    );
+  });
+}
+
+/**
+ * Normalizes the conversations of any supported export into the ChatGPT model.
+ * @param {Object[]|AsyncIterable<Object>} conversations - The export's top-level array, or an async iterable of its
+ *   elements such as the streamed conversations of loadExport.
+ * @param {string} [format="auto"] - The export format: "chatgpt", "claude", "gemini", or "auto" to detect it from the
+ *   first element.
+ * @returns {Object[]|AsyncIterable<Object>} - The ChatGPT-style conversations, an array if an array was given and
+ *   re-readable (see rereadable) if the iterable was. Gemini activity is grouped into conversations only once the
+ *   whole log has been read.
+ * @example
+ * const { conversations } = await loadExport("claude-export.zip");
+ * await chatgptToMarkdown(conversations, "./output");
+ */
+export function adaptConversations(conversations, format = "auto") {
+  if (format !== "auto" && !FORMATS.includes(format)) {
+    throw new TypeError(`Unknown format option: ${format} (expected auto, ${FORMATS.join(", ")})`);
+  }
+  const resolve = (first) => {
+    if (format !== "auto" || first === undefined) return format === "auto" ? "chatgpt" : format;
+    const detected = detectFormat(first);
+    if (!detected) throw new Error("Unrecognized export format: expected a ChatGPT, Claude or Gemini export");
+    return detected;
+  };
+
+  if (Array.isArray(conversations)) {
+    const resolved = resolve(conversations[0]);
+    if (resolved === "claude") return conversations.map(claudeToConversation);
+    if (resolved === "gemini") return geminiToConversations(conversations);
+    return conversations;
+  }
+
+  const adaptStream = async function* () {
+    const iterator = conversations[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    if (first.done) return;
+    const resolved = resolve(first.value);
+    const rest = { [Symbol.asyncIterator]: () => iterator };
+    if (resolved === "gemini") {
+      const activities = [first.value];
+      for await (const activity of rest) activities.push(activity);
+      yield* geminiToConversations(activities);
+      return;
+    }
+    const adapt = resolved === "claude" ? claudeToConversation : (conversation) => conversation;
+    yield adapt(first.value);
+    for await (const conversation of rest) yield adapt(conversation);
+  };
+  // Re-reading the adapted stream re-reads its source
+  return isRereadable(conversations) ? rereadable(adaptStream) : adaptStream();
+}
@@ -0,0 +1,134 @@
+// adapters.test.js
+
+import { adaptConversations, claudeToConversation, detectFormat, geminiToConversations } from "./adapters";
+
+const claudeConversation = () => ({
+  uuid: "c1",
+  name: "Trip",
+  created_at: "2025-03-01T10:00:00Z",
+  updated_at: "2025-03-01T10:05:00Z",
+  chat_messages: [
+    {
+      uuid: "m1",
+      sender: "human",
+      created_at: "2025-03-01T10:00:00Z",
+      content: [{ type: "text", text: "Plan a trip" }],
+      attachments: [{ file_name: "notes.txt", extracted_content: "Lyon, 3 days" }],
+    },
+    {
+      uuid: "m2",
+      parent_message_uuid: "m1",
+      sender: "assistant",
+      created_at: "2025-03-01T10:01:00Z",
+      content: [
+        { type: "thinking", thinking: "Lyon is close to Paris" },
+        { type: "tool_use", name: "web_search", input: { query: "Lyon museums" } },
+        { type: "tool_result", name: "web_search", content: [{ type: "text", text: "Musée des Confluences" }] },
+        { type: "text", text: "Visit the Musée des Confluences." },
+      ],
+    },
+  ],
+});
+
+describe("detectFormat", () => {
+  it("should recognize ChatGPT, Claude and Gemini items", () => {
+    expect(detectFormat({ mapping: {} })).toBe("chatgpt");
+    expect(detectFormat(claudeConversation())).toBe("claude");
+    expect(detectFormat({ header: "Gemini Apps", title: "Prompted hi" })).toBe("gemini");
+    expect(detectFormat({ header: "Search", products: ["Bard"] })).toBe("gemini");
+    expect(detectFormat({ title: "Unknown" })).toBeNull();
+  });
+});
+
+describe("claudeToConversation", () => {
+  it("should build a mapping chain from the message blocks", () => {
+    const conversation = claudeToConversation(claudeConversation());
+    expect(conversation).toMatchObject({
+      conversation_id: "c1",
+      title: "Trip",
+      create_time: Date.parse("2025-03-01T10:00:00Z") / 1000,
+      source_url: "https://claude.ai/chat/c1",
+      current_node: "m2",
+    });
+    const { mapping } = conversation;
+    expect(Object.keys(mapping)).toEqual(["m1", "m2-0", "m2-1", "m2-2", "m2"]);
+    expect(mapping.m1.message.content.parts).toEqual(["Plan a trip", "notes.txt:\n\n```\nLyon, 3 days\n```"]);
+    expect(mapping["m2-0"]).toMatchObject({
+      parent: "m1",
+      message: {
+        content: { content_type: "thoughts", thoughts: [{ summary: "Thinking", content: "Lyon is close to Paris" }] },
+        metadata: { reasoning_status: "is_reasoning" },
+      },
+    });
+    expect(mapping["m2-1"].message).toMatchObject({ recipient: "web_search", content: { content_type: "code" } });
+    expect(mapping["m2-2"].message.author).toEqual({ role: "tool", name: "web_search" });
+    expect(mapping.m2).toMatchObject({ parent: "m2-2", children: [] });
+  });
+
+  it("should title untitled chats after their first prompt", () => {
+    const untitled = (text) => ({ uuid: "u", name: "", chat_messages: [{ uuid: "a", sender: "human", text }] });
+    expect(claudeToConversation(untitled("\n  Fix my regex\nIt fails")).title).toBe("Fix my regex");
+    expect(claudeToConversation(untitled("")).title).toBe("Untitled");
+  });
+
+  it("should fall back to the message text and the previous message as parent", () => {
+    const { mapping } = claudeToConversation({
+      uuid: "c2",
+      chat_messages: [
+        { uuid: "a", sender: "human", text: "Hi", content: [] },
+        { uuid: "b", sender: "assistant", text: "Hello" },
+      ],
+    });
+    expect(mapping.b).toMatchObject({ parent: "a", message: { content: { parts: ["Hello"] } } });
+    expect(mapping.a.children).toEqual(["b"]);
+  });
+});
+
+describe("geminiToConversations", () => {
+  const activity = (time, prompt, html) => ({
+    header: "Gemini Apps",
+    title: `Prompted ${prompt}`,
+    time,
+    products: ["Gemini Apps"],
+    ...(html && { safeHtmlItem: [{ html }] }),
+  });
+
+  it("should group prompts into conversations by the time between them", () => {
+    const conversations = geminiToConversations([
+      activity("2025-03-01T11:00:00Z", "Later question", "<p>Later answer</p>"),
+      activity("2025-03-01T10:00:00Z", "First question", "<p>A <b>bold</b> answer</p>"),
+      activity("2025-03-01T10:10:00Z", "Follow-up", "<ul><li>one</li></ul>"),
+      { header: "Gemini Apps", title: "Used Gemini Apps", time: "2025-03-01T10:05:00Z" },
+    ]);
+    expect(conversations.map((c) => c.title)).toEqual(["First question", "Later question"]);
+    const [first] = conversations;
+    expect(first).toMatchObject({ conversation_id: "gemini-1740823200000", source_url: null });
+    expect(Object.values(first.mapping).map((node) => node.message.content.parts[0])).toEqual([
+      "First question",
+      "A **bold** answer",
+      "Follow-up",
+      "- one",
+    ]);
+  });
+});
+
+describe("adaptConversations", () => {
+  it("should detect the format of arrays and async iterables", async () => {
+    const chatgpt = [{ mapping: {} }];
+    expect(adaptConversations(chatgpt)).toBe(chatgpt);
+    expect(adaptConversations([claudeConversation()])[0].current_node).toBe("m2");
+
+    async function* stream() {
+      yield claudeConversation();
+      yield { ...claudeConversation(), uuid: "c3" };
+    }
+    const adapted = [];
+    for await (const conversation of adaptConversations(stream())) adapted.push(conversation.conversation_id);
+    expect(adapted).toEqual(["c1", "c3"]);
+  });
+
+  it("should reject unknown formats", () => {
+    expect(() => adaptConversations([], "bing")).toThrow(TypeError);
+    expect(() => adaptConversations([{ title: "?" }])).toThrow("Unrecognized export format");
+  });
+});
@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 import path from "path";
 import { promises as fs } from "fs";
-import chatgptToMarkdown from "./index.js";
+import chatgptToMarkdown, { chatgptToHtml, chatgptToJsonl, createFilter, loadExport } from "./index.js";
+import { FORMATS } from "./adapters.js";
 import os from "os";
+import { parseArgs } from "util";
 
 /**
  * Print usage information for the CLI
@@ -10,50 +12,358 @@ import os from "os";
 function printUsage() {
   console.log(
     `
-Usage: chatgpt-to-markdown <input-file.json> [output-directory]
+Usage: chatgpt-to-markdown <export.zip|conversations.json> [output-directory] [options]
 
 Arguments:
-  input-file.json    Path to the ChatGPT conversation JSON file exported from ChatGPT
+  export.zip         Path to the export archive ChatGPT or Claude emails you, or a Google
+  conversations.json Takeout archive with Gemini activity; or to the conversations.json
+                     (or Gemini MyActivity.json) extracted from it
   output-directory   Optional: Directory to save markdown files to
                      If not provided, files will be saved to ./chatgpt-exports/YYYYMMDD/
 
+Options:
+  --from <format>    The export's format: auto (default, detected), chatgpt, claude or gemini
+  --config <file>    JSON file of converter options (e.g. a frontMatter template);
+                     command line flags take precedence
+  --branches <mode>  How to render regenerated replies and edited prompts:
+                     none (default, active branch only), callout or notes
+  --sync             Write into output-directory itself (no YYYYMMDD sub-folder), skip
+                     unchanged conversations and update changed or renamed ones in place
+  --merge            Write into output-directory itself and merge re-exported conversations
+                     into their notes, keeping your front matter flags, fields and tags
+                     and everything from the "## Notes" line on
+  --merge-marker <l> The line starting your own section of a note (default: ## Notes)
+  --attachments <dir> Folder for images copied from the export, relative to the
+                     output directory (default: attachments)
+  --path <template>  Where to save each note inside the output directory, e.g.
+                     "{year}/{month}/{title}" or "{gizmo}/{title}" (default: {title})
+  --citations <mode> How to cite web sources: inline (default, links after each message)
+                     or footnotes ([^1] footnotes and one Sources section per note)
+  --timestamps       Add each message's time to its heading
+  --block-ids        Add a block id (^msg-<id>) to each message for [[Note#^msg-<id>]] links
+  --role-style <s>   How to set messages apart: indented (default, headings and indented
+                     prompts), heading, callout or bubble
+  --role-label <r=l> Label for a role's messages, e.g. user=Me or assistant={gizmo} (repeatable)
+  --locale <locale>  Locale of dates and generated labels such as "Reasoning", e.g. fr-FR
+  --time-zone <tz>   Time zone of dates, e.g. Europe/Paris (default: UTC); also names the
+                     YYYYMMDD sub-folder
+  --flavor <f>       Markdown dialect: obsidian (default), commonmark (GitHub Flavored
+                     Markdown with <details> and relative links) or logseq (outline)
+  --html             Write a static HTML site instead of notes: a page per conversation
+                     and a searchable index.html that opens without a server
+  --jsonl <file>     Write an OpenAI chat-format JSONL dataset instead of notes
+  --per-turn         With --jsonl: a line per assistant turn rather than per conversation
+  --drop <kinds>     With --jsonl: leave out tools, reasoning and/or system messages
+                     (comma-separated)
+  --notes-dir <dir>  With --jsonl: notes from an earlier run, for --favorite and --validated
+  --favorite         With --jsonl: only conversations whose note has favorite: true
+  --validated        With --jsonl: only conversations whose note has validated: true
+  --index            Also write an index note linking every conversation, grouped by month
+  --index-name <n>   The index note's name (default: ChatGPT Index)
+  --index-format <f> list (default) or dataview (details as Dataview inline fields)
+  --index-by-gizmo   Group the index by custom GPT / project, then by month
+  --skip-empty       Don't write notes for conversations without any message
+  --dry-run          Convert without writing anything and print what would be written,
+                     overwritten or removed, name collisions and content types
+  --report <file>    Also save the conversion report as JSON
+
+Filters (all given filters must match):
+  --since <date>     Only conversations updated on or after this date (YYYY-MM-DD or ISO)
+  --until <date>     Only conversations updated on or before this date
+  --date-field <f>   Apply --since/--until to "update" (default) or "create" time
+  --title <regex>    Only conversations whose title matches (case-insensitive)
+  --id <ids>         Only these conversation ids (comma-separated or repeated)
+  --model <slugs>    Only conversations that used one of these models, e.g. gpt-4o
+  --gizmo <ids>      Only conversations with one of these custom GPT / project ids
+  --archived <mode>  include (default), exclude or only archived conversations
+
+  -h, --help         Show this help
+
 Example:
-  chatgpt-to-markdown ./conversations.json ~/Documents/Obsidian/ChatGPT
+  chatgpt-to-markdown ./chatgpt-export.zip ~/Documents/Obsidian/ChatGPT
 `
   );
 }
 
+/**
+ * Command line flags that map directly to chatgptToMarkdown options, with their option names.
+ */
+const FLAG_OPTIONS = {
+  branches: "branches",
+  sync: "sync",
+  attachments: "attachmentsDir",
+  path: "pathTemplate",
+  citations: "citations",
+  timestamps: "messageTimestamps",
+  "block-ids": "blockIds",
+  "role-style": "roleStyle",
+  locale: "locale",
+  "time-zone": "timeZone",
+  flavor: "flavor",
+  "skip-empty": "skipEmpty",
+  "dry-run": "dryRun",
+};
+
+/**
+ * Prints the report returned by chatgptToMarkdown.
+ * @param {Object} report - The conversion report.
+ * @param {boolean} [skipEmpty=false] - Whether empty conversations were skipped rather than written.
+ */
+function printReport(report, skipEmpty = false) {
+  const section = (heading, lines) => {
+    if (!lines.length) return;
+    console.log(`\n${heading} (${lines.length}):`);
+    for (const line of lines) console.log(`  ${line}`);
+  };
+  const would = report.dryRun ? "to be " : "";
+  section(`Notes ${would}created`, report.created);
+  section(`Notes ${would}overwritten`, report.overwritten);
+  section(`Notes ${would}merged with your edits`, report.merged);
+  section(`Notes ${would}removed`, report.removed);
+  section(`Attachments ${would}copied`, report.attachments);
+  section("Name collisions", report.collisions.map(({ path, wanted }) => `${path} (${wanted} is taken)`));
+  section(
+    skipEmpty ? "Empty conversations skipped" : "Empty conversations",
+    report.empty.map(({ title, id }) => `${title} (${id})`),
+  );
+  section(
+    "Content types",
+    Object.entries(report.contentTypes)
+      .sort(([, a], [, b]) => b - a)
+      .map(([type, count]) => `${type}: ${count}${type in report.unknownContentTypes ? " (unknown)" : ""}`),
+  );
+  if (report.unchanged.length) console.log(`\nUnchanged conversations skipped: ${report.unchanged.length}`);
+}
+
+/**
+ * Reads a JSON config file holding chatgptToMarkdown options.
+ * @param {string} configPath - The path to the config file.
+ * @returns {Promise<Object>} - The options.
+ */
+async function readConfig(configPath) {
+  const config = JSON.parse(await fs.readFile(configPath, "utf8"));
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new TypeError("The config file must contain a JSON object of options.");
+  }
+  return config;
+}
+
+/**
+ * Builds the index note option from the index flags, on top of any `index` option from the config file.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {boolean|Object} [index] - The index option from the config file.
+ * @returns {boolean|Object|undefined} - The index option, or `index` unchanged if no index flag was given.
+ */
+function indexFromFlags(flags, index) {
+  const given = {
+    name: flags["index-name"],
+    format: flags["index-format"],
+    groupByGizmo: flags["index-by-gizmo"],
+  };
+  if (!flags.index && Object.values(given).every((value) => value === undefined)) return index;
+  if (given.format !== undefined && !["list", "dataview"].includes(given.format)) {
+    throw new TypeError(`Unknown index format: ${given.format}`);
+  }
+  const defined = Object.fromEntries(Object.entries(given).filter(([, value]) => value !== undefined));
+  return { ...(typeof index === "object" && index), ...defined };
+}
+
+/**
+ * Builds the conversation filter from the filter flags.
+ * @param {Object} flags - The parsed command line flags.
+ * @returns {Function|undefined} - The filter, or undefined if no filter flag was given.
+ */
+function filterFromFlags(flags) {
+  const list = (values) => values?.flatMap((value) => value.split(",")).map((value) => value.trim()).filter(Boolean);
+  const dateFields = { create: "create_time", update: "update_time" };
+  const dateField = flags["date-field"];
+  if (dateField !== undefined && !dateFields[dateField]) throw new TypeError(`Unknown date field: ${dateField}`);
+  const criteria = {
+    since: flags.since,
+    until: flags.until,
+    dateField: dateFields[dateField],
+    title: flags.title,
+    ids: list(flags.id),
+    models: list(flags.model),
+    gizmos: list(flags.gizmo),
+    archived: flags.archived,
+  };
+  const given = Object.fromEntries(Object.entries(criteria).filter(([, value]) => value !== undefined));
+  return Object.keys(given).length ? createFilter(given) : undefined;
+}
+
+/**
+ * Builds the chatgptToJsonl options from the JSONL flags.
+ * @param {Object} flags - The parsed command line flags.
+ * @returns {Object} - The options given.
+ */
+function jsonlFromFlags(flags) {
+  const drop = (flags.drop ?? []).flatMap((value) => value.split(",")).map((value) => value.trim()).filter(Boolean);
+  const unknown = drop.find((kind) => !["tools", "reasoning", "system"].includes(kind));
+  if (unknown) throw new TypeError(`Unknown message kind to drop: ${unknown}`);
+  const given = {
+    split: flags["per-turn"] ? "turn" : undefined,
+    tools: drop.includes("tools") ? false : undefined,
+    reasoning: drop.includes("reasoning") ? false : undefined,
+    system: drop.includes("system") ? false : undefined,
+    notesDir: flags["notes-dir"],
+    favorite: flags.favorite,
+    validated: flags.validated,
+  };
+  return Object.fromEntries(Object.entries(given).filter(([, value]) => value !== undefined));
+}
+
 async function run() {
   try {
     // Parse command line arguments
-    const filePath = process.argv[2];
-    
-    if (!filePath || process.argv.includes("-h") || process.argv.includes("--help")) {
+    let args;
+    try {
+      args = parseArgs({
+        allowPositionals: true,
+        options: {
+          from: { type: "string" },
+          config: { type: "string" },
+          branches: { type: "string" },
+          sync: { type: "boolean" },
+          merge: { type: "boolean" },
+          "merge-marker": { type: "string" },
+          attachments: { type: "string" },
+          path: { type: "string" },
+          citations: { type: "string" },
+          timestamps: { type: "boolean" },
+          "block-ids": { type: "boolean" },
+          "role-style": { type: "string" },
+          "role-label": { type: "string", multiple: true },
+          locale: { type: "string" },
+          "time-zone": { type: "string" },
+          flavor: { type: "string" },
+          html: { type: "boolean" },
+          jsonl: { type: "string" },
+          "per-turn": { type: "boolean" },
+          drop: { type: "string", multiple: true },
+          "notes-dir": { type: "string" },
+          favorite: { type: "boolean" },
+          validated: { type: "boolean" },
+          index: { type: "boolean" },
+          "index-name": { type: "string" },
+          "index-format": { type: "string" },
+          "index-by-gizmo": { type: "boolean" },
+          "skip-empty": { type: "boolean" },
+          "dry-run": { type: "boolean" },
+          report: { type: "string" },
+          since: { type: "string" },
+          until: { type: "string" },
+          "date-field": { type: "string" },
+          title: { type: "string" },
+          id: { type: "string", multiple: true },
+          model: { type: "string", multiple: true },
+          gizmo: { type: "string", multiple: true },
+          archived: { type: "string" },
+          help: { type: "boolean", short: "h" },
+        },
+      });
+    } catch (error) {
+      console.error(error.message);
       printUsage();
-      process.exit(process.argv.includes("-h") || process.argv.includes("--help") ? 0 : 1);
+      process.exit(1);
+    }
+    const { values: options, positionals } = args;
+    const filePath = positionals[0];
+
+    if (!filePath || options.help) {
+      printUsage();
+      process.exit(options.help ? 0 : 1);
+    }
+    if (options.from && options.from !== "auto" && !FORMATS.includes(options.from)) {
+      console.error(`Invalid --from format: ${options.from} (expected auto, ${FORMATS.join(", ")})`);
+      process.exit(1);
+    }
+    if (options.html && (options["dry-run"] || options.sync)) {
+      console.error("--html cannot be combined with --dry-run or --sync");
+      process.exit(1);
+    }
+    if (options.jsonl && (options.html || options["dry-run"] || options.sync)) {
+      console.error("--jsonl cannot be combined with --html, --dry-run or --sync");
+      process.exit(1);
     }
     
-    // Read the JSON file
-    let data;
+    // Options come from the config file, overridden by command line flags
+    let settings = {};
+    if (options.config) {
+      try {
+        settings = await readConfig(options.config);
+      } catch (error) {
+        console.error(`Error reading config file ${options.config}: ${error.message}`);
+        process.exit(1);
+      }
+    }
+    for (const [flag, option] of Object.entries(FLAG_OPTIONS)) {
+      if (options[flag] !== undefined) settings[option] = options[flag];
+    }
+
     try {
-      data = await fs.readFile(filePath, "utf8");
+      const filter = filterFromFlags(options);
+      if (filter) settings.filter = filter;
     } catch (error) {
-      console.error(`Error reading file ${filePath}: ${error.message}`);
+      console.error(`Invalid filter: ${error.message}`);
       process.exit(1);
     }
-    
-    // Parse the JSON data
-    let json;
+
+    for (const value of options["role-label"] ?? []) {
+      const separator = value.indexOf("=");
+      if (separator < 1) {
+        console.error(`Invalid role label: ${value} (expected role=label)`);
+        process.exit(1);
+      }
+      settings.roleLabels = { ...settings.roleLabels, [value.slice(0, separator)]: value.slice(separator + 1) };
+    }
+
+    // --merge-marker implies --merge; a merge object from the config file keeps its other settings
+    if (options.merge || options["merge-marker"] !== undefined) {
+      settings.merge = typeof settings.merge === "object" ? { ...settings.merge } : {};
+      if (options["merge-marker"] !== undefined) settings.merge.marker = options["merge-marker"];
+    }
+
+    try {
+      const index = indexFromFlags(options, settings.index);
+      if (index !== undefined) settings.index = index;
+    } catch (error) {
+      console.error(`Invalid index option: ${error.message}`);
+      process.exit(1);
+    }
+
+    // Open the export: either the .zip archive or an extracted conversations.json. Conversations are streamed, so
+    // JSON errors surface while converting. Claude and Gemini exports are normalized as they are read
+    let json, assets;
     try {
-      json = JSON.parse(data);
+      ({ conversations: json, assets } = await loadExport(filePath, { stream: true, format: options.from }));
     } catch (error) {
-      console.error(`Error parsing JSON: ${error.message}`);
-      console.error("Please make sure the file contains valid JSON data.");
+      console.error(`Error reading file ${filePath}: ${error.message}`);
       process.exit(1);
     }
     
+    // Write a JSONL dataset instead of notes
+    if (options.jsonl) {
+      let jsonlOptions;
+      try {
+        jsonlOptions = jsonlFromFlags(options);
+      } catch (error) {
+        console.error(`Invalid JSONL option: ${error.message}`);
+        process.exit(1);
+      }
+      try {
+        const report = await chatgptToJsonl(json, options.jsonl, { ...settings, ...jsonlOptions });
+        const { lines, conversations } = report;
+        console.log(`✅ JSONL saved to: ${options.jsonl} (${lines} lines, ${conversations} conversations)`);
+      } catch (error) {
+        console.error(`Error writing JSONL: ${error.message}`);
+        process.exit(1);
+      }
+      return;
+    }
+
     // Determine the output directory
-    let baseDir = process.argv[3];
+    let baseDir = positionals[1];
     
     if (!baseDir) {
       // Default to ./chatgpt-exports/{date} if no output directory is provided
@@ -61,27 +371,65 @@ async function run() {
       console.log(`No output directory specified. Using: ${baseDir}`);
     }
     
-    // Sub-folder named after today's date in YYYYMMDD format
-    const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, "");
-    const destDir = path.join(baseDir, dateStr);
-    
-    // Make sure the destination directory exists
+    // Sub-folder named after today's date in YYYYMMDD format in the configured time zone, unless syncing or merging
+    // into one stable folder
+    let dateStr;
     try {
-      await fs.mkdir(destDir, { recursive: true });
-      console.log(`Creating output directory: ${destDir}`);
+      const format = new Intl.DateTimeFormat("en-US", {
+        timeZone: settings.timeZone ?? "UTC",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      });
+      const today = Object.fromEntries(format.formatToParts(new Date()).map(({ type, value }) => [type, value]));
+      dateStr = `${today.year}${today.month}${today.day}`;
     } catch (error) {
-      console.error(`Error creating directory ${destDir}: ${error.message}`);
+      console.error(`Invalid time zone: ${error.message}`);
       process.exit(1);
     }
+    const destDir = settings.sync || settings.merge ? baseDir : path.join(baseDir, dateStr);
+    
+    // Make sure the destination directory exists, unless this is a dry run
+    if (!settings.dryRun) {
+      try {
+        await fs.mkdir(destDir, { recursive: true });
+        console.log(`Creating output directory: ${destDir}`);
+      } catch (error) {
+        console.error(`Error creating directory ${destDir}: ${error.message}`);
+        process.exit(1);
+      }
+    }
     
     // Process and convert to markdown
+    let report;
     try {
-      await chatgptToMarkdown(json, destDir);
-      console.log(`✅ Conversion complete! Files saved to: ${destDir}`);
+      const convert = options.html ? chatgptToHtml : chatgptToMarkdown;
+      report = await convert(json, destDir, { ...settings, assets });
+      if (settings.dryRun) {
+        console.log(`Dry run: nothing was written to ${destDir}`);
+        printReport(report, settings.skipEmpty);
+      } else {
+        console.log(`✅ Conversion complete! Files saved to: ${destDir}`);
+      }
     } catch (error) {
-      console.error(`Error converting to markdown: ${error.message}`);
+      if (error instanceof SyntaxError) {
+        console.error(`Error parsing JSON: ${error.message}`);
+        console.error("Please make sure the file contains valid JSON data.");
+      } else {
+        console.error(`Error converting to markdown: ${error.message}`);
+      }
       process.exit(1);
     }
+
+    if (options.report) {
+      try {
+        await fs.writeFile(options.report, JSON.stringify(report, null, 2) + "\n", "utf8");
+        console.log(`Report saved to: ${options.report}`);
+      } catch (error) {
+        console.error(`Error writing report ${options.report}: ${error.message}`);
+        process.exit(1);
+      }
+    }
   } catch (error) {
     console.error(`Unexpected error: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,632 @@
+/**
+ * Escapes text for use in HTML element content and attribute values.
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Decodes numeric HTML entities and the named ones pandas, Jupyter and Google Takeout use.
+ * @param {string} text - The HTML text.
+ * @returns {string} - The decoded text.
+ */
+export function decodeHtmlEntities(text) {
+  const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return entities[entity.toLowerCase()] ?? match;
+    const hex = /^#x/i.test(entity);
+    return String.fromCodePoint(hex ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+  });
+}
+
+/**
+ * Converts the HTML tables in a Jupyter output, such as a rendered pandas dataframe, to Markdown tables. The first
+ * row becomes the header.
+ * @param {string} html - The HTML output.
+ * @returns {string[]} - The Markdown tables.
+ */
+export function htmlTablesToMarkdown(html) {
+  const cellText = (cell) =>
+    decodeHtmlEntities(cell.replace(/<br\s*\/?>/gi, " ").replace(/<[^>]+>/g, ""))
+      .replace(/\s+/g, " ")
+      .trim()
+      .replace(/\|/g, "\\|");
+  return [...html.matchAll(/<table[^>]*>([\s\S]*?)<\/table>/gi)]
+    .map(([, table]) => {
+      const rows = [...table.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)].map(([, row]) =>
+        [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => cellText(cell)),
+      );
+      if (!rows.length) return "";
+      const width = Math.max(...rows.map((row) => row.length));
+      const line = (row) => `| ${Array.from({ length: width }, (_, i) => row[i] ?? "").join(" | ")} |`;
+      const separator = `| ${Array(width).fill("---").join(" | ")} |`;
+      return [line(rows[0]), separator, ...rows.slice(1).map(line)].join("\n");
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Converts simple HTML, such as the answers in a Google Takeout activity export, to Markdown: headings, paragraphs,
+ * emphasis, links, code, lists, tables and blockquotes. Other tags are dropped and their text kept.
+ * @param {string} html - The HTML.
+ * @returns {string} - The Markdown.
+ * @example
+ * htmlToMarkdown("<p>Use <code>ls</code>:</p><ul><li>one</li><li>two</li></ul>");
+ * //=> "Use `ls`:\n\n- one\n- two"
+ */
+export function htmlToMarkdown(html) {
+  // Code blocks, tables and quotes are converted first and kept aside, so that their line breaks survive
+  const kept = [];
+  const keep = (markdown) => `\u0000${kept.push(markdown) - 1}\u0000`;
+  const text = (fragment) => decodeHtmlEntities(fragment.replace(/<[^>]+>/g, ""));
+  const markdown = html
+    .replace(/\u0000/g, "")
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+      const language = code.match(/class="[^"]*language-([\w+#-]+)/)?.[1] ?? "";
+      return keep(`\`\`\`${language}\n${text(code.replace(/<br\s*\/?>/gi, "\n")).replace(/\n$/, "")}\n\`\`\``);
+    })
+    .replace(/<table[\s\S]*?<\/table>/gi, (table) => keep(htmlTablesToMarkdown(table).join("\n\n")))
+    .replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, quote) =>
+      keep(
+        htmlToMarkdown(quote)
+          .split("\n")
+          .map((line) => (line ? `> ${line}` : ">"))
+          .join("\n"),
+      ),
+    )
+    .replace(/\s+/g, " ")
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) => {
+      return `\n\n${"#".repeat(level)} ${heading.trim()}\n\n`;
+    })
+    .replace(/<(strong|b)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, "**$3**")
+    .replace(/<(em|i)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, "*$3*")
+    .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, "`$1`")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "[$2]($1)")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (match, items) => {
+      let number = 0;
+      return `\n\n${items.replace(/<li[^>]*>/gi, () => `\n${++number}. `)}\n\n`;
+    })
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/?(p|div|ul|section|article|hr)(\s[^>]*)?\/?>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+  return decodeHtmlEntities(markdown)
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => `\n\n${kept[index]}\n\n`)
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Keywords of common programming languages, highlighted in code blocks of any language.
+ */
+const KEYWORDS = new Set(
+  (
+    "abstract and as async await break case catch class const continue def default defer del delete do elif else " +
+    "enum except export extends false False final finally fn for from func function go if impl import in " +
+    "instanceof interface is lambda let match mod module new nil None not null or package pass private protected " +
+    "pub public raise return self static struct super switch this throw throws true True try type typeof " +
+    "undefined use var void while with yield"
+  ).split(" "),
+);
+
+/**
+ * Languages whose line comments start with "#" rather than "//".
+ */
+const HASH_COMMENT_LANGUAGES = new Set([
+  "bash",
+  "dockerfile",
+  "makefile",
+  "perl",
+  "powershell",
+  "ps1",
+  "py",
+  "python",
+  "r",
+  "rb",
+  "ruby",
+  "sh",
+  "shell",
+  "toml",
+  "yaml",
+  "yml",
+  "zsh",
+]);
+
+/**
+ * Highlights source code by wrapping its comments, strings, numbers and keywords in `tok-*` spans. The rules are
+ * shared by all languages, which keeps code readable without shipping a highlighter to the browser.
+ * @param {string} code - The source code.
+ * @param {string} [language] - The language of the code block, e.g. "js". Code without one is not highlighted.
+ * @returns {string} - The escaped, highlighted HTML.
+ * @example
+ * highlightCode("return 1;", "js");
+ * //=> '<span class="tok-keyword">return</span> <span class="tok-number">1</span>;'
+ */
+export function highlightCode(code, language) {
+  const lang = (language ?? "").toLowerCase();
+  if (!lang || ["text", "plaintext", "txt", "markdown", "md"].includes(lang)) return escapeHtml(code);
+  const lineComment = HASH_COMMENT_LANGUAGES.has(lang) ? "#[^\\n]*" : "\\/\\/[^\\n]*";
+  const token = new RegExp(
+    [
+      `(${lineComment}|\\/\\*[\\s\\S]*?\\*\\/|<!--[\\s\\S]*?-->)`,
+      "(\"(?:[^\"\\\\\\n]|\\\\.)*\"|'(?:[^'\\\\\\n]|\\\\.)*'|`(?:[^`\\\\]|\\\\.)*`)",
+      "\\b(0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][-+]?\\d+)?)\\b",
+      "\\b([A-Za-z_]\\w*)\\b",
+    ].join("|"),
+    "g",
+  );
+  let html = "";
+  let last = 0;
+  for (const match of code.matchAll(token)) {
+    const [text, comment, string, number, word] = match;
+    const type = comment ? "comment" : string ? "string" : number ? "number" : KEYWORDS.has(word) ? "keyword" : "";
+    if (!type) continue;
+    html += `${escapeHtml(code.slice(last, match.index))}<span class="tok-${type}">${escapeHtml(text)}</span>`;
+    last = match.index + text.length;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+/**
+ * Image file extensions, whose embeds are shown rather than linked.
+ */
+const IMAGE_EXTENSION = /\.(png|jpe?g|gif|webp|svg|bmp|avif)$/i;
+
+/**
+ * Renders inline markdown: code spans, links, images, Obsidian wikilinks and embeds, emphasis and escapes.
+ * @param {string} text - The markdown.
+ * @param {Object} options - The options passed to markdownToHtml.
+ * @returns {string} - The HTML.
+ */
+function renderInline(text, options) {
+  // Tokens are swapped for placeholders so that emphasis can span them but not look inside them
+  const tokens = [];
+  const keep = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+  const link = (href, label) => `<a href="${escapeHtml(href)}">${label}</a>`;
+  let html = text
+    .replace(/\u0000/g, "")
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!~|<>])/g, (match, char) => keep(escapeHtml(char)))
+    .replace(/!\[\[([^\]|]+)(?:\|([^\]]*))?\]\]/g, (match, target, alias) => {
+      const name = target.split("/").pop();
+      if (IMAGE_EXTENSION.test(target)) {
+        return keep(`<img src="${escapeHtml(options.attachmentHref(name))}" alt="${escapeHtml(alias ?? name)}">`);
+      }
+      return keep(link(options.pageHref(target), escapeHtml(alias ?? name)));
+    })
+    .replace(/\[\[([^\]|]+)(?:\|([^\]]*))?\]\]/g, (match, target, alias) =>
+      keep(link(options.pageHref(target), escapeHtml(alias ?? target.split("/").pop()))),
+    )
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) =>
+      keep(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`),
+    )
+    .replace(/\[((?:[^\]\\]|\\.)+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+      /^(https?:|mailto:|#|[^:]*$)/i.test(href) ? keep(link(href, renderInline(label, options))) : match,
+    )
+    .replace(/<(https?:\/\/[^>\s]+)>/g, (match, url) => keep(link(url, escapeHtml(url))));
+  html = escapeHtml(html)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>");
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Tells whether a line starts a block other than a paragraph, which ends the paragraph before it.
+ * @param {string} line - The line.
+ * @returns {boolean} - Whether the line starts a block.
+ */
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) || line.startsWith(">");
+}
+
+/**
+ * Splits a table row into its cells.
+ * @param {string} row - The row, e.g. "| a | b |".
+ * @returns {string[]} - The cells' markdown.
+ */
+function tableCells(row) {
+  return row
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim());
+}
+
+/**
+ * Renders a list and its nested blocks.
+ * @param {string[]} lines - The markdown lines.
+ * @param {number} start - The index of the list's first line.
+ * @param {Object} options - The options passed to markdownToHtml.
+ * @returns {{html: string, end: number}} - The list and the index of the first line after it.
+ */
+function renderList(lines, start, options) {
+  const first = lines[start].match(LIST_ITEM);
+  const indentation = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let tight = true;
+  let i = start;
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = line.match(LIST_ITEM);
+    if (item && item[1].length === indentation) {
+      items.push({ lines: [line.slice(item[0].length)], offset: item[0].length });
+    } else if (!line.trim()) {
+      // A blank line continues the list only if an item or more of the current item follows
+      let next = i + 1;
+      while (next < lines.length && !lines[next].trim()) next++;
+      const following = lines[next];
+      const indent = following?.match(/^\s*/)[0].length ?? 0;
+      if (following === undefined || indent < indentation || (indent === indentation && !LIST_ITEM.test(following))) {
+        break;
+      }
+      items[items.length - 1].lines.push("");
+      tight = false;
+    } else if (line.match(/^\s*/)[0].length > indentation) {
+      const current = items[items.length - 1];
+      current.lines.push(line.replace(new RegExp(`^\\s{0,${current.offset}}`), ""));
+    } else if (!startsBlock(line) && items[items.length - 1].lines[items[items.length - 1].lines.length - 1]) {
+      // Lazy continuation of the item's paragraph
+      items[items.length - 1].lines.push(line.trim());
+    } else {
+      break;
+    }
+    i++;
+  }
+  const html = items.map(({ lines: itemLines }) => {
+    let body = renderBlocks(itemLines, options);
+    if (tight) body = body.replace(/^<p>([\s\S]*?)<\/p>/, "$1");
+    body = body.replace(
+      /^\[([ xX])\] /,
+      (match, mark) => `<input type="checkbox" disabled${mark === " " ? "" : " checked"}> `,
+    );
+    return `<li>${body}</li>`;
+  });
+  const number = parseInt(first[2], 10);
+  const tag = ordered ? `ol${number !== 1 ? ` start="${number}"` : ""}` : "ul";
+  return { html: `<${tag}>\n${html.join("\n")}\n</${ordered ? "ol" : "ul"}>`, end: i };
+}
+
+/**
+ * Renders markdown lines as HTML blocks.
+ * @param {string[]} lines - The markdown lines.
+ * @param {Object} options - The options passed to markdownToHtml.
+ * @returns {string} - The HTML.
+ */
+function renderBlocks(lines, options) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && /^[`~]+$/.test(lines[i].trim()))) {
+        code.push(lines[i++]);
+      }
+      i++;
+      const language = fence[2];
+      const attribute = language ? ` class="language-${escapeHtml(language)}"` : "";
+      blocks.push(`<pre><code${attribute}>${highlightCode(code.join("\n"), language)}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push("<hr>");
+      i++;
+      continue;
+    }
+
+    if (line.startsWith(">")) {
+      const inner = [];
+      while (i < lines.length && lines[i].startsWith(">")) inner.push(lines[i++].replace(/^> ?/, ""));
+      // Obsidian callouts are titled blockquotes; folding ones ("-" or "+") become <details>
+      const callout = inner[0].match(/^\[!([\w-]+)\]([-+]?) ?(.*)$/);
+      if (!callout) {
+        blocks.push(`<blockquote>\n${renderBlocks(inner, options)}\n</blockquote>`);
+        continue;
+      }
+      const [, type, fold, title] = callout;
+      const titleHtml = renderInline(title || type[0].toUpperCase() + type.slice(1), options);
+      const body = renderBlocks(inner.slice(1), options);
+      const className = `callout callout-${escapeHtml(type.toLowerCase())}`;
+      const open = fold === "+" ? " open" : "";
+      blocks.push(
+        fold
+          ? `<details class="${className}"${open}>\n<summary>${titleHtml}</summary>\n${body}\n</details>`
+          : `<div class="${className}">\n<div class="callout-title">${titleHtml}</div>\n${body}\n</div>`,
+      );
+      continue;
+    }
+
+    if (/^( {4}|\t)/.test(line)) {
+      const code = [];
+      while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim())) {
+        code.push(lines[i++].replace(/^( {4}|\t)/, ""));
+      }
+      while (!code[code.length - 1].trim()) code.pop();
+      blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    if (line.includes("|") && TABLE_SEPARATOR.test(lines[i + 1] ?? "")) {
+      const aligns = tableCells(lines[i + 1]).map((cell) =>
+        cell.startsWith(":") && cell.endsWith(":")
+          ? "center"
+          : cell.endsWith(":")
+            ? "right"
+            : cell.startsWith(":")
+              ? "left"
+              : "",
+      );
+      const row = (cells, tag) =>
+        `<tr>${cells
+          .map((cell, column) => {
+            const align = aligns[column] ? ` style="text-align: ${aligns[column]}"` : "";
+            return `<${tag}${align}>${renderInline(cell.replace(/\\\|/g, "|"), options)}</${tag}>`;
+          })
+          .join("")}</tr>`;
+      const head = row(tableCells(line), "th");
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim())
+        rows.push(row(tableCells(lines[i++]), "td"));
+      blocks.push(
+        `<div class="table"><table>\n<thead>${head}</thead>\n<tbody>\n${rows.join("\n")}\n</tbody>\n</table></div>`,
+      );
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i, options);
+      blocks.push(list.html);
+      i = list.end;
+      continue;
+    }
+
+    // A paragraph keeps its line breaks, as in Obsidian
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i++].trim());
+    }
+    blocks.push(`<p>${paragraph.map((text) => renderInline(text, options)).join("<br>\n")}</p>`);
+  }
+  return blocks.join("\n");
+}
+
+/**
+ * Converts the Markdown the converter writes to HTML. Besides CommonMark basics and GFM tables it understands
+ * Obsidian callouts, wikilinks and embeds. All other HTML in the markdown is escaped, so it is shown as text.
+ * @param {string} markdown - The markdown.
+ * @param {Object} [options] - The options object.
+ * @param {Function} [options.pageHref] - Takes a linked note's "/"-separated path and returns its URL.
+ * @param {Function} [options.attachmentHref] - Takes an embedded image's file name and returns its URL.
+ * @returns {string} - The HTML.
+ * @example
+ * markdownToHtml("> [!info]- Reasoning\n> Because");
+ * //=> '<details class="callout callout-info">\n<summary>Reasoning</summary>\n<p>Because</p>\n</details>'
+ */
+export function markdownToHtml(markdown, options = {}) {
+  const resolved = {
+    pageHref: (notePath) => `${encodeURIComponent(notePath)}.html`,
+    attachmentHref: (fileName) => encodeURIComponent(fileName),
+    ...options,
+  };
+  return renderBlocks(markdown.replace(/\r\n?/g, "\n").split("\n"), resolved);
+}
+
+/**
+ * Reduces markdown to its plain text, for the search index.
+ * @param {string} markdown - The markdown.
+ * @returns {string} - The text, on one line.
+ */
+export function markdownToText(markdown) {
+  return markdown
+    .replace(/^\s*(`{3,}|~{3,}).*$/gm, "")
+    .replace(/^(\s*>)+ ?(\[![\w-]+\][-+]? ?)?/gm, "")
+    .replace(/^\s*#{1,6}\s+/gm, "")
+    .replace(/!?\[\[([^\]|]+\|)?([^\]]+)\]\]/g, "$2")
+    .replace(/!?\[([^\]]*)\]\([^)\s]+\)/g, "$1")
+    .replace(/(\*\*|__|~~|`)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * The style sheet shared by all pages: chat bubbles for the role callouts, folding callouts and highlighted code,
+ * in light and dark mode.
+ */
+export const STYLESHEET = `:root {
+  --text: #1f2328;
+  --muted: #656d76;
+  --background: #ffffff;
+  --surface: #f6f8fa;
+  --border: #d0d7de;
+  --accent: #0969da;
+  --user: #ddf4ff;
+  --keyword: #cf222e;
+  --string: #0a3069;
+  --number: #0550ae;
+  --comment: #6e7781;
+}
+@media (prefers-color-scheme: dark) {
+  :root {
+    --text: #e6edf3;
+    --muted: #8d96a0;
+    --background: #0d1117;
+    --surface: #161b22;
+    --border: #30363d;
+    --accent: #4493f8;
+    --user: #12263f;
+    --keyword: #ff7b72;
+    --string: #a5d6ff;
+    --number: #79c0ff;
+    --comment: #8b949e;
+  }
+}
+* { box-sizing: border-box; }
+body {
+  margin: 0;
+  color: var(--text);
+  background: var(--background);
+  font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+}
+nav, main { max-width: 52rem; margin: 0 auto; padding: 1rem; }
+nav { display: flex; justify-content: space-between; gap: 1rem; border-bottom: 1px solid var(--border); }
+a { color: var(--accent); }
+img { max-width: 100%; }
+.meta { color: var(--muted); font-size: 0.875rem; }
+pre { overflow-x: auto; padding: 0.75rem; border-radius: 6px; background: var(--surface); }
+code { font: 0.875em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+:not(pre) > code { padding: 0.1em 0.3em; border-radius: 4px; background: var(--surface); }
+blockquote { margin: 0; padding-left: 1rem; border-left: 3px solid var(--border); color: var(--muted); }
+.table { overflow-x: auto; }
+table { border-collapse: collapse; }
+th, td { padding: 0.25rem 0.75rem; border: 1px solid var(--border); }
+.callout { margin: 1rem 0; padding: 0.5rem 1rem; border: 1px solid var(--border); border-radius: 8px; }
+.callout-title, summary { font-weight: 600; cursor: default; }
+summary { cursor: pointer; }
+.callout-user, .callout-assistant, .callout-system { max-width: 85%; border-radius: 16px; }
+.callout-user { margin-left: auto; border-color: transparent; background: var(--user); }
+.callout-assistant { margin-right: auto; background: var(--surface); }
+.callout-system { margin: 1rem auto; font-size: 0.875rem; }
+.callout-user > .callout-title, .callout-assistant > .callout-title, .callout-system > .callout-title {
+  color: var(--muted);
+  font-size: 0.75rem;
+  text-transform: uppercase;
+}
+.tok-keyword { color: var(--keyword); }
+.tok-string { color: var(--string); }
+.tok-number { color: var(--number); }
+.tok-comment { color: var(--comment); font-style: italic; }
+#search { width: 100%; padding: 0.5rem 0.75rem; font-size: 1rem; border: 1px solid var(--border); border-radius: 6px; }
+#results li { margin: 0.75rem 0; }
+.snippet { color: var(--muted); font-size: 0.875rem; }
+`;
+
+/**
+ * The index page's search: it filters `window.SEARCH_INDEX`, loaded from search-index.js by a script tag so that it
+ * works from file:// URLs, for conversations containing every word typed.
+ */
+const SEARCH_SCRIPT = `const input = document.getElementById("search");
+const results = document.getElementById("results");
+const conversations = document.getElementById("conversations");
+const entries = (window.SEARCH_INDEX || []).map((entry) => ({
+  ...entry,
+  haystack: (entry.title + " " + entry.text).toLowerCase(),
+}));
+input.addEventListener("input", () => {
+  const terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  conversations.hidden = terms.length > 0;
+  results.replaceChildren();
+  if (!terms.length) return;
+  for (const entry of entries) {
+    if (!terms.every((term) => entry.haystack.includes(term))) continue;
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.textContent = entry.title;
+    item.append(link);
+    const at = entry.text.toLowerCase().indexOf(terms[0]);
+    if (at >= 0) {
+      const snippet = document.createElement("div");
+      snippet.className = "snippet";
+      snippet.textContent = (at > 60 ? "…" : "") + entry.text.slice(Math.max(0, at - 60), at + 120) + "…";
+      item.append(snippet);
+    }
+    results.append(item);
+  }
+  if (!results.children.length) results.textContent = results.dataset.empty;
+});
+`;
+
+/**
+ * Renders a complete HTML page.
+ * @param {Object} page - The page.
+ * @param {string} page.title - The page title.
+ * @param {string} page.body - The HTML of the page's main content.
+ * @param {string} [page.nav=""] - The HTML of the navigation bar above it.
+ * @param {string} [page.lang="en"] - The page language.
+ * @param {string} [page.scripts=""] - The HTML of the scripts at the end of the body.
+ * @returns {string} - The page.
+ */
+export function renderPage({ title, body, nav = "", lang = "en", scripts = "" }) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+${nav ? `<nav>${nav}</nav>\n` : ""}<main>
+${body}
+</main>
+${scripts}</body>
+</html>
+`;
+}
+
+/**
+ * Renders the index page: a search box and the conversations, newest first, grouped by month.
+ * @param {Object[]} entries - The conversations: `{title, url, month, details}`, already sorted.
+ * @param {Object} options - The options object.
+ * @param {string} options.title - The page title.
+ * @param {string} options.lang - The page language.
+ * @param {Function} options.t - The label lookup returned by createTranslator.
+ * @returns {string} - The page.
+ */
+export function renderIndexPage(entries, { title, lang, t }) {
+  const months = new Map();
+  for (const entry of entries) months.set(entry.month, [...(months.get(entry.month) ?? []), entry]);
+  const list = [...months]
+    .map(([month, group]) => {
+      const items = group.map(
+        ({ title: name, url, details }) =>
+          `<li><a href="${escapeHtml(url)}">${escapeHtml(name)}</a>` +
+          `${details ? ` <span class="meta">${escapeHtml(details)}</span>` : ""}</li>`,
+      );
+      return `<h2>${escapeHtml(month)}</h2>\n<ul>\n${items.join("\n")}\n</ul>`;
+    })
+    .join("\n");
+  const body = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<input id="search" type="search" placeholder="${escapeHtml(t("search"))}" autocomplete="off">`,
+    `<ul id="results" data-empty="${escapeHtml(t("noResults"))}"></ul>`,
+    `<div id="conversations">\n${list}\n</div>`,
+  ].join("\n");
+  const scripts = `<script src="search-index.js"></script>\n<script>\n${SEARCH_SCRIPT}</script>\n`;
+  return renderPage({ title, body, lang, scripts });
+}
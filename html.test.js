@@ -0,0 +1,81 @@
+// html.test.js
+
+import { highlightCode, htmlToMarkdown, markdownToHtml, markdownToText } from "./html";
+
+describe("markdownToHtml", () => {
+  it("should render headings, paragraphs, emphasis, links and escaped HTML", () => {
+    expect(markdownToHtml("## Hi *there*\n\nA **bold** [link](https://example.com)\n<b>raw</b> `<i>`")).toBe(
+      "<h2>Hi <em>there</em></h2>\n" +
+        '<p>A <strong>bold</strong> <a href="https://example.com">link</a><br>\n' +
+        "&lt;b&gt;raw&lt;/b&gt; <code>&lt;i&gt;</code></p>",
+    );
+  });
+
+  it("should not link javascript: URLs", () => {
+    expect(markdownToHtml("[x](javascript:alert(1))")).not.toContain("<a");
+  });
+
+  it("should render callouts, folding callouts and nested blockquotes", () => {
+    expect(
+      markdownToHtml("> [!user] Me\n> Hello\n\n> [!info]- Reasoning\n>> [!example]+ Step\n>> Think\n\n> quote"),
+    ).toBe(
+      '<div class="callout callout-user">\n<div class="callout-title">Me</div>\n<p>Hello</p>\n</div>\n' +
+        '<details class="callout callout-info">\n<summary>Reasoning</summary>\n' +
+        '<details class="callout callout-example" open>\n<summary>Step</summary>\n<p>Think</p>\n</details>\n</details>\n' +
+        "<blockquote>\n<p>quote</p>\n</blockquote>",
+    );
+  });
+
+  it("should render lists, tables and code blocks", () => {
+    const markdown =
+      "1. One\n2. Two\n   - Nested\n\n| a | b |\n|:--|--:|\n| 1 | x \\| y |\n\n```py\n# note\nx = 'a'\n```";
+    expect(markdownToHtml(markdown)).toBe(
+      "<ol>\n<li>One</li>\n<li>Two\n<ul>\n<li>Nested</li>\n</ul></li>\n</ol>\n" +
+        '<div class="table"><table>\n' +
+        '<thead><tr><th style="text-align: left">a</th><th style="text-align: right">b</th></tr></thead>\n' +
+        '<tbody>\n<tr><td style="text-align: left">1</td><td style="text-align: right">x | y</td></tr>\n</tbody>\n' +
+        "</table></div>\n" +
+        '<pre><code class="language-py"><span class="tok-comment"># note</span>\n' +
+        'x = <span class="tok-string">&#39;a&#39;</span></code></pre>',
+    );
+  });
+
+  it("should resolve wikilinks and embeds", () => {
+    const options = { pageHref: (notePath) => `${notePath}.html`, attachmentHref: (name) => `files/${name}` };
+    expect(markdownToHtml("![[chart.png]]\n[[Folder/Note|Alias]] ![[Note - Canvas]]", options)).toBe(
+      '<p><img src="files/chart.png" alt="chart.png"><br>\n' +
+        '<a href="Folder/Note.html">Alias</a> <a href="Note - Canvas.html">Note - Canvas</a></p>',
+    );
+  });
+});
+
+describe("highlightCode", () => {
+  it("should highlight keywords, strings, numbers and comments", () => {
+    expect(highlightCode('return "a" + 1; // done', "js")).toBe(
+      '<span class="tok-keyword">return</span> <span class="tok-string">&quot;a&quot;</span> + ' +
+        '<span class="tok-number">1</span>; <span class="tok-comment">// done</span>',
+    );
+    expect(highlightCode("return 1 < 2", "")).toBe("return 1 &lt; 2");
+  });
+});
+
+describe("markdownToText", () => {
+  it("should strip markup for the search index", () => {
+    expect(markdownToText("# Title\n\n> [!info]- Reasoning\n>> **Bold** [link](https://x.y)")).toBe(
+      "Title Reasoning Bold link",
+    );
+  });
+});
+
+describe("htmlToMarkdown", () => {
+  it("should convert headings, emphasis, links, lists, code, quotes and tables", () => {
+    const html =
+      '<h2>Title</h2><p>Some <b>bold</b> &amp; <a href="https://example.com">link</a></p>' +
+      '<ol><li>a</li><li>b</li></ol><pre><code class="language-py">x = 1\n\nif x &lt; 2:\n    pass</code></pre>' +
+      "<blockquote><p>quoted <i>text</i></p></blockquote><table><tr><th>a</th></tr><tr><td>1</td></tr></table>";
+    expect(htmlToMarkdown(html)).toBe(
+      "## Title\n\nSome **bold** & [link](https://example.com)\n\n1. a\n2. b\n\n" +
+        "```py\nx = 1\n\nif x < 2:\n    pass\n```\n\n> quoted *text*\n\n| a |\n| --- |\n| 1 |",
+    );
+  });
+});
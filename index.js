@@ -1,5 +1,17 @@
-import { promises as fs } from "fs";
+import { createReadStream, promises as fs } from "fs";
 import path from "path";
+import { adaptConversations } from "./adapters.js";
+import {
+  escapeHtml,
+  htmlTablesToMarkdown,
+  markdownToHtml,
+  markdownToText,
+  renderIndexPage,
+  renderPage,
+  STYLESHEET,
+} from "./html.js";
+import { isRereadable, parseJsonArray, rereadable } from "./stream.js";
+import { openZip } from "./zip.js";
 
 /**
  * Sanitizes a file name by replacing invalid characters with spaces.
@@ -30,7 +42,8 @@ function wrapHtmlTagsInBackticks(text) {
  * @returns {string} - The text with URLs converted to Markdown links.
  */
 function wrapLinksInMarkdown(text) {
-  return text.replace(/https?:\/\/\S+/g, (url) => `[${url}](${url})`);
+  // URLs that already are the text or target of a link are left alone
+  return text.replace(/(\]\(|\[|<)?https?:\/\/\S+/g, (url, link) => (link ? url : `[${url}](${url})`));
 }
 
 
@@ -61,70 +74,413 @@ function blockquote(str) {
     .join("\n");
 }
 
-function nodeToMarkdown(node, { skipHeader = false } = {}) {
+/**
+ * Resolves a `file-service://` or `sediment://` asset pointer to a file of the export and schedules it to be copied
+ * into the attachments folder.
+ * @param {string} pointer - The asset pointer, e.g. "file-service://file-AbC123".
+ * @param {Object} [ctx] - The conversation rendering context.
+ * @returns {string|undefined} - The attachment's file name, or undefined if the export does not contain it.
+ */
+function resolveAsset(pointer, ctx) {
+  const fileId = pointer?.replace(/^[\w-]+:\/\//, "");
+  if (!fileId || !ctx?.assets?.size) return undefined;
+  // Export files are named after the id, optionally followed by "-<original name>" and an extension
+  const asset = [...ctx.assets.keys()].find((name) => {
+    const base = name.split("/").pop();
+    return base.startsWith(fileId) && /^($|[-.])/.test(base.slice(fileId.length));
+  });
+  if (!asset) return undefined;
+  const fileName = asset.split("/").pop();
+  ctx.attachments.set(asset, fileName);
+  return fileName;
+}
+
+/**
+ * Renders an image part as an embed captioned with its DALL·E prompt, or as a text placeholder if the image is not
+ * part of the export.
+ * @param {Object} part - The image_asset_pointer part.
+ * @param {Object} [ctx] - The conversation rendering context.
+ * @returns {{text: string, embed: string}} - The placeholder text, or the embed.
+ */
+function imageToMarkdown(part, ctx) {
+  const prompt = part?.metadata?.dalle?.prompt ?? "";
+  const fileName = resolveAsset(part.asset_pointer, ctx);
+  const size = part.width && part.height ? ` (${part.width}x${part.height})` : "";
+  if (!fileName) return { text: `${(ctx?.t ?? translateEnglish)("image")}${size}: ${prompt}\n\n`, embed: "" };
+  const caption = prompt.replace(/\s+/g, " ").trim().replace(/\*/g, "\\*");
+  const embed = ctx.flavor.embed(`${ctx.attachmentsDir}/${fileName}`, ctx.noteName);
+  return { text: "", embed: `${embed}\n${caption ? `*${caption}*\n` : ""}\n` };
+}
+
+/**
+ * Counts a rendered content type in the conversation rendering context, for the report.
+ * @param {Object} [ctx] - The conversation rendering context.
+ * @param {string} type - The content type of a message or multimodal part.
+ */
+function countContentType(ctx, type) {
+  if (ctx?.contentTypes) ctx.contentTypes[type] = (ctx.contentTypes[type] ?? 0) + 1;
+}
+
+/**
+ * Fields of unknown content that are rendered as text rather than as data.
+ */
+const TEXT_FIELDS = ["text", "parts", "result", "summary"];
+
+/**
+ * Renders content of a type without a renderer: its text fields as text and any other data as a collapsed JSON
+ * callout, so nothing is lost, or as just its type if it holds neither. Warns about the type once per conversation.
+ * @param {Object} content - The message content or multimodal part.
+ * @param {Object} [ctx] - The conversation rendering context.
+ * @returns {string} - The markdown.
+ */
+function fallbackToMarkdown(content, ctx) {
+  const type = content?.content_type ?? "unknown";
+  ctx?.unknownContentTypes?.add(type);
+  const conversation = ctx?.conversation;
+  const id = conversation?.conversation_id ?? conversation?.id;
+  ctx?.warn?.(`Unknown content type "${type}" in conversation "${conversation?.title}"${id ? ` (${id})` : ""}`);
+
+  const text = [];
+  const data = {};
+  for (const [key, value] of Object.entries(content ?? {})) {
+    if (key === "content_type" || value === null || value === undefined) continue;
+    if (TEXT_FIELDS.includes(key) && typeof value === "string") {
+      text.push(value);
+    } else if (TEXT_FIELDS.includes(key) && Array.isArray(value)) {
+      // Keep the string parts as text and anything else in the data
+      text.push(...value.filter((part) => typeof part === "string"));
+      const other = value.filter((part) => typeof part !== "string");
+      if (other.length) data[key] = other;
+    } else {
+      data[key] = value;
+    }
+  }
+  const json = Object.keys(data).length ? JSON.stringify(data, null, 2) : "";
+  const callout = json ? `> [!abstract]- ${type}\n${blockquote("```json\n" + json + "\n```")}` : "";
+  // Content without any text or data is at least named
+  return [text.join("\n").trim(), callout].filter(Boolean).join("\n\n") || type;
+}
+
+/**
+ * Extracts the results of a Code Interpreter (Advanced Data Analysis) run from an execution_output's
+ * `metadata.aggregate_result`.
+ * @param {Object} [result] - The aggregate result.
+ * @returns {Object} - The dataframes as Markdown `tables`, the `plainTexts` they replace, the charts as `images`
+ *   (image parts with an `asset_pointer`), the `stderr` output, and the exception as `error` ({title, traceback}).
+ */
+function parseAggregateResult(result) {
+  const parsed = { tables: [], plainTexts: [], images: [], stderr: "", error: null };
+  if (!result) return parsed;
+  const pointers = new Set();
+  const addImage = (pointer, width, height) => {
+    if (!pointer || pointers.has(pointer)) return;
+    pointers.add(pointer);
+    parsed.images.push({ asset_pointer: pointer, width, height });
+  };
+  const stripAnsi = (text) => text.replace(/\x1b\[[\d;]*m/g, "");
+
+  for (const message of result.messages ?? []) {
+    if (message.message_type === "image") addImage(message.image_url, message.width, message.height);
+    if (message.message_type === "stream" && message.stream_name === "stderr") parsed.stderr += message.text ?? "";
+  }
+  let jupyterError;
+  for (const { msg_type: type, content = {} } of result.jupyter_messages ?? []) {
+    if (type === "execute_result" || type === "display_data") {
+      const data = content.data ?? {};
+      const tables = data["text/html"] ? htmlTablesToMarkdown(data["text/html"]) : [];
+      parsed.tables.push(...tables);
+      if (tables.length && data["text/plain"]) parsed.plainTexts.push(data["text/plain"].trim());
+      const image = Object.entries(data).find(([mime]) => mime.startsWith("image/vnd.openai.fileservice"));
+      if (image) addImage(image[1]);
+    }
+    if (type === "error") jupyterError = content;
+  }
+
+  // The kernel exception and the Jupyter error message describe the same exception
+  const exception = result.in_kernel_exception;
+  if (exception) {
+    const args = (exception.args ?? []).join(", ");
+    parsed.error = { title: args ? `${exception.name}: ${args}` : exception.name, traceback: exception.traceback };
+  } else if (jupyterError) {
+    const { ename, evalue, traceback } = jupyterError;
+    parsed.error = { title: evalue ? `${ename}: ${evalue}` : ename, traceback };
+  }
+  if (parsed.error) {
+    // Kernel traceback lines end with a newline, Jupyter ones do not
+    const lines = [].concat(parsed.error.traceback ?? []).map((line) => (line.endsWith("\n") ? line : `${line}\n`));
+    parsed.error.traceback = stripAnsi(lines.join("")).trimEnd();
+  }
+  parsed.stderr = stripAnsi(parsed.stderr).trimEnd();
+  return parsed;
+}
+
+/**
+ * Renders code content as a fenced code block.
+ * @param {Object} content - The code content.
+ * @returns {string} - The code block.
+ */
+function renderCode(content) {
+  return "```" + content.language.replace("unknown", "") + "\n" + content.text + "\n```";
+}
+
+/**
+ * Replays the Canvas (canmore) operations among a conversation's messages to reconstruct the final text of each
+ * canvas document. Updates apply to the document they name, or else to the latest one.
+ * @param {Object[]} nodes - The rendered nodes, in order.
+ * @param {string} noteName - The conversation note's path, which canvas note names extend.
+ * @param {Function} [warn] - Called with a message for operations that cannot be applied.
+ * @returns {{notes: Object[], operations: Map<Object, Object>}} - The canvas notes ({name, content}), and for each
+ *   node holding an operation, the `document` ({name, title}) it `created` or updated.
+ */
+function replayCanvases(nodes, noteName, warn) {
+  const documents = [];
+  const operations = new Map();
+  for (const node of nodes) {
+    const message = node?.message;
+    // The tool's reply to a creation holds the id later updates may refer to
+    if (message?.author?.name === "canmore.create_textdoc" && message.metadata?.canvas?.textdoc_id) {
+      const document = documents.findLast((document) => !document.id);
+      if (document) document.id = message.metadata.canvas.textdoc_id;
+    }
+    const operation = message?.recipient;
+    if (operation !== "canmore.create_textdoc" && operation !== "canmore.update_textdoc") continue;
+
+    let payload;
+    try {
+      payload = JSON.parse(message.content?.text ?? "");
+    } catch {
+      warn?.(`Cannot read a Canvas operation in "${message.content?.text?.slice(0, 40)}"`);
+      continue;
+    }
+    if (operation === "canmore.create_textdoc") {
+      const base = `${noteName} - ${sanitizeFileName(String(payload.name ?? "")).trim() || "Canvas"}`;
+      let name = base;
+      for (let i = 2; documents.some((document) => document.name.toLowerCase() === name.toLowerCase()); i++) {
+        name = `${base} ${i}`;
+      }
+      const type = String(payload.type ?? "document");
+      const document = { name, title: payload.name, type, text: String(payload.content ?? "") };
+      documents.push(document);
+      operations.set(node, { document, created: true });
+      continue;
+    }
+
+    const named = payload.textdoc_id && documents.find((document) => document.id === payload.textdoc_id);
+    const document = named || documents.at(-1);
+    if (!document) continue;
+    for (const { pattern, multiple, replacement = "" } of payload.updates ?? []) {
+      try {
+        // Replacements are literal text, not patterns with group references
+        document.text = document.text.replace(new RegExp(pattern, multiple ? "gs" : "s"), () => replacement);
+      } catch (error) {
+        warn?.(`Cannot apply a Canvas update to "${document.title}": ${error.message}`);
+      }
+    }
+    operations.set(node, { document, created: false });
+  }
+
+  const notes = documents.map(({ name, type, text }) => {
+    const language = type.startsWith("code/") ? type.slice("code/".length) : null;
+    return { name, content: language ? "```" + language + "\n" + text + "\n```\n" : `${text}\n` };
+  });
+  return { notes, operations };
+}
+
+/**
+ * Renders a Canvas operation as an embed of the canvas note where the canvas is created and as a link to it where it
+ * is updated. Operations that were not replayed, e.g. in alternate branches, are rendered as code.
+ * @param {Object} content - The code content holding the operation.
+ * @param {Object} context - The renderer context.
+ * @returns {string} - The markdown.
+ */
+function renderCanvasOperation(content, { node, ctx }) {
+  const operation = ctx?.canvases?.get(node);
+  if (!operation) return renderCode(content);
+  const { name } = operation.document;
+  if (operation.created) return ctx.flavor.embedNote(name, ctx.noteName);
+  return `> [!note] ${ctx.t("canvasUpdated")}: ${ctx.flavor.link(name, ctx.noteName)}`;
+}
+
+/**
+ * The callout type of each author role's messages when messages are rendered as callouts.
+ */
+const DEFAULT_ROLE_CALLOUTS = { user: "question", assistant: "note", system: "info" };
+
+/**
+ * Labels a message by its author, e.g. "assistant" or "tool (python)", or with the label configured for the role.
+ * Labels are strings with {role}, {name} and {gizmo} placeholders, or functions of those values.
+ * @param {Object} author - The message author.
+ * @param {Object} [ctx] - The conversation rendering context, holding the `roleLabels` and `gizmoNames` options.
+ * @returns {string} - The label.
+ */
+function roleLabel(author, ctx) {
+  const fallback = `${author.role}${author.name ? ` (${author.name})` : ""}`;
+  const label = ctx?.roleLabels?.[author.role];
+  if (label === undefined || label === null) return fallback;
+  const gizmoId = ctx?.conversation?.gizmo_id;
+  const values = {
+    role: author.role,
+    name: author.name ?? "",
+    gizmo: gizmoId ? (ctx.gizmoNames?.[gizmoId] ?? gizmoId) : "",
+  };
+  const text =
+    typeof label === "function"
+      ? label(values)
+      : String(label).replace(/\{(role|name|gizmo)\}/g, (_, key) => values[key]);
+  // A label left empty, e.g. "{gizmo}" outside custom GPTs, falls back to the role
+  return String(text ?? "").trim() || fallback;
+}
+
+/**
+ * Derives the Obsidian block id of a message from its id, so links to it survive re-exports.
+ * @param {Object} node - The conversation node.
+ * @returns {string|null} - The block id, e.g. "msg-3f2a...", or null if the message has no id.
+ */
+function messageBlockId(node) {
+  const id = node.message?.id ?? node.id;
+  // Block ids may only contain letters, numbers and dashes
+  return id ? `msg-${String(id).replace(/[^A-Za-z0-9-]+/g, "-")}` : null;
+}
+
+/**
+ * Renderers for message content types, keyed by `content_type`. Each type maps to its registrations, newest last.
+ */
+const registeredRenderers = new Map();
+
+/**
+ * Registers a renderer for a message content type. Built-in types are registered the same way, so registering a
+ * renderer for one of them overrides it. A renderer restricted to an author role or recipient takes precedence over
+ * a general one for the messages it matches; otherwise the latest registration wins.
+ * @param {string} contentType - The `content.content_type` to render, e.g. "code".
+ * @param {Function} render - Called as `render(content, context)` with the message content and a context holding
+ *   the `node`, its `metadata`, the `conversation`, the rendering context `ctx` and `embed(markdown)`, which adds
+ *   embeds (images, attachments) after the message body. Returns the message body as Markdown.
+ * @param {Object} [options] - The options object.
+ * @param {string} [options.role] - Only render messages from this author role, e.g. "tool".
+ * @param {string} [options.recipient] - Only render messages sent to this recipient, e.g. "python".
+ * @returns {Function} - Removes the registration again, restoring the renderer it overrode.
+ * @example
+ * registerRenderer("code", (content) => "```" + content.language + "\n" + content.text + "\n```", { role: "tool" });
+ */
+export function registerRenderer(contentType, render, { role, recipient } = {}) {
+  if (typeof contentType !== "string") throw new TypeError("The content type must be a string.");
+  if (typeof render !== "function") throw new TypeError("The renderer must be a function.");
+  const registration = { render, role, recipient };
+  if (!registeredRenderers.has(contentType)) registeredRenderers.set(contentType, []);
+  registeredRenderers.get(contentType).push(registration);
+  return () => {
+    const registrations = registeredRenderers.get(contentType);
+    const i = registrations.indexOf(registration);
+    if (i >= 0) registrations.splice(i, 1);
+  };
+}
+
+/**
+ * Finds the renderer for a message's content.
+ * @param {string} contentType - The message's content type.
+ * @param {Object} message - The message, for its author role and recipient.
+ * @param {Object<string, Function>} [overrides] - Renderers passed to chatgptToMarkdown, which take precedence.
+ * @returns {Function|undefined} - The renderer, or undefined if the content type has none.
+ */
+function findRenderer(contentType, message, overrides) {
+  if (typeof overrides?.[contentType] === "function") return overrides[contentType];
+  const specificity = ({ role, recipient }) => (role ? 1 : 0) + (recipient ? 1 : 0);
+  let best;
+  for (const registration of registeredRenderers.get(contentType) ?? []) {
+    const { role, recipient } = registration;
+    if ((role && role !== message.author?.role) || (recipient && recipient !== message.recipient)) continue;
+    // Later registrations win ties
+    if (!best || specificity(registration) >= specificity(best)) best = registration;
+  }
+  return best?.render;
+}
+
+registerRenderer("text", (content) => content.parts.join("\n"));
+registerRenderer("code", renderCode);
+registerRenderer("code", renderCanvasOperation, { recipient: "canmore.create_textdoc" });
+registerRenderer("code", renderCanvasOperation, { recipient: "canmore.update_textdoc" });
+registerRenderer("execution_output", (content, { metadata, ctx, embed }) => {
+  const { tables, plainTexts, images, stderr, error } = parseAggregateResult(metadata.aggregate_result);
+  // The text output of a dataframe is its plain text representation, which the table replaces
+  const text = content.text && !plainTexts.includes(content.text.trim()) ? "```\n" + content.text + "\n```" : "";
+  for (const image of images) {
+    const { text: placeholder, embed: markdown } = imageToMarkdown(image, ctx);
+    embed(markdown || placeholder);
+  }
+  const fence = (output) => (output ? `\n${blockquote("```\n" + output + "\n```")}` : "");
+  const callouts = [
+    stderr && `> [!warning]- stderr${fence(stderr)}`,
+    error && `> [!failure] ${error.title}${fence(error.traceback)}`,
+  ];
+  return [text, ...tables, ...callouts].filter(Boolean).join("\n\n");
+});
+registerRenderer("multimodal_text", (content, { ctx, embed }) =>
+  content.parts
+    .map((part) => {
+      if (typeof part == "string") return `${part}\n\n`;
+      countContentType(ctx, part.content_type);
+      if (part.content_type !== "image_asset_pointer") return `${fallbackToMarkdown(part, ctx)}\n\n`;
+      const image = imageToMarkdown(part, ctx);
+      embed(image.embed);
+      return image.text;
+    })
+    .join(""),
+);
+registerRenderer(
+  "tether_browsing_display",
+  (content) => "```\n" + (content.summary ? `${content.summary}\n` : "") + content.result + "\n```",
+);
+registerRenderer("tether_quote", (content) =>
+  blockquote(`[${content.title || content.url}](${content.url})\n\n${content.text}`),
+);
+registerRenderer("system_error", (content) => `${content.name}\n\n${content.text}\n\n`);
+registerRenderer("user_editable_context", () => "");
+registerRenderer("thoughts", (content) =>
+  content.thoughts.map((t) => `##### ${t.summary}\n\n${t.content}\n`).join("\n"),
+);
+registerRenderer("reasoning_recap", (content) => blockquote(content.content));
+registerRenderer(
+  "sonic_webpage",
+  (content) => "```\n" + `${content.title} (${content.url})\n\n${content.text}` + "\n```",
+);
+
+function nodeToMarkdown(node, { skipHeader = false, ctx } = {}) {
   try {
     const content = node.message?.content;
     if (!content) return "";
-    let body;
-    switch (content.content_type) {
-      case "text":
-        body = content.parts.join("\n");
-        break;
-      case "code":
-        body = "```" + content.language.replace("unknown", "") + "\n" + content.text + "\n```";
-        break;
-      case "execution_output":
-        body = "```\n" + content.text + "\n```";
-        break;
-      case "multimodal_text":
-        body = content.parts
-          .map((part) =>
-            typeof part == "string"
-              ? `${part}\n\n`
-              : part.content_type === "image_asset_pointer"
-                ? `Image (${part.width}x${part.height}): ${part?.metadata?.dalle?.prompt ?? ""}\n\n`
-                : `${part.content_type}\n\n`,
-          )
-          .join("");
-        break;
-      case "tether_browsing_display":
-        body = "```\n" + (content.summary ? `${content.summary}\n` : "") + content.result + "\n```";
-        break;
-      case "tether_quote":
-        body = blockquote(`[${content.title || content.url}](${content.url})\n\n${content.text}`);
-        break;
-      case "system_error":
-        body = `${content.name}\n\n${content.text}\n\n`;
-        break;
-      case "user_editable_context":
-        body = "";
-        break;
-      case "thoughts":
-        body = content.thoughts.map((t) => `##### ${t.summary}\n\n${t.content}\n`).join("\n");
-        break;
-      case "reasoning_recap":
-        body = blockquote(content.content);
-        break;
-      case "sonic_webpage":
-        body = "```\n" + `${content.title} (${content.url})\n\n${content.text}` + "\n```";
-        break;
-      default:
-        body = String(content);
-    }
+    countContentType(ctx, content.content_type);
+    // Embeds are kept apart from the body so that indenting user messages does not turn them into code blocks
+    let embeds = "";
+    const context = {
+      node,
+      metadata: node.message.metadata || {},
+      conversation: ctx?.conversation,
+      ctx,
+      embed: (markdown) => (embeds += markdown),
+    };
+    const render = findRenderer(content.content_type, node.message, ctx?.renderers);
+    let body = render ? (render(content, context) ?? "") : fallbackToMarkdown(content, ctx);
         const meta = node.message.metadata || {};
     
-    // Replace inline citation placeholders first
-    const citationMap = buildCitationMap(meta);
-    body = replaceCitationPlaceholders(body, citationMap);
-    
-    // Convert raw URLs
-    body = wrapLinksInMarkdown(body);
-    
-    // Add citations and search results
-    const citations = extractCitations(meta);
-    const results = extractSearchResults(meta);
-    if (citations) body += citations;
-    if (results) body += results;
+    if (ctx?.citations === "footnotes") {
+      // Cite sources as footnotes, listed once in the note's Sources section
+      body = citeAsFootnotes(body, meta, ctx);
+      body = wrapLinksInMarkdown(body);
+    } else {
+      // Replace inline citation placeholders first
+      body = replaceContentReferences(body, meta);
+      const citationMap = buildCitationMap(meta);
+      body = replaceCitationPlaceholders(body, citationMap);
+
+      // Convert raw URLs
+      body = wrapLinksInMarkdown(body);
+
+      // Add citations and search results
+      const citations = extractCitations(meta);
+      const results = extractSearchResults(meta);
+      if (citations) body += citations;
+      if (results) body += results;
+    }
     
     // No special processing for reasoning status in nodeToMarkdown
     // All callout formatting will be handled in the main chatgptToMarkdown function
@@ -133,17 +489,34 @@ function nodeToMarkdown(node, { skipHeader = false } = {}) {
     if (/"open"\s*:/s.test(body) && /"url"/s.test(body)) return "";
     if (/"find"\s*:/s.test(body)) return "";
     if (/"click"\s*:/s.test(body)) return "";
-    if (!body.trim()) return "";
+    if (!body.trim() && !embeds) return "";
     const author = node.message.author;
-    if (author.role == "user") body = indent(body);
+    const roleStyle = ctx?.roleStyle ?? "indented";
+    if (author.role == "user" && roleStyle === "indented") body = indent(body);
+    if (embeds) body = [body.trimEnd(), embeds.trimEnd()].filter(Boolean).join("\n\n");
     
     if (skipHeader) {
     return `${body}`;
   }
+  const blockId = ctx?.blockIds ? messageBlockId(node) : null;
   if (author.role === "tool") {
-    return `${body}\n\n`;
+    // Tool output has no heading, so its block id follows on a line of its own
+    return `${body}\n\n${blockId ? `^${blockId}\n\n` : ""}`;
+  }
+  const createTime = node.message.create_time;
+  const time = ctx?.messageTimestamps && createTime ? ` · ${ctx.dateFormat(new Date(createTime * 1000))}` : "";
+  const label = `${roleLabel(author, ctx)}${time}`;
+  const anchor = blockId ? `^${blockId}\n\n` : "";
+  if (roleStyle === "callout") {
+    const type = { ...DEFAULT_ROLE_CALLOUTS, ...ctx?.roleCallouts }[author.role] ?? "note";
+    return `> [!${type}] ${label}\n${blockquote(body)}\n\n${anchor}`;
   }
-  return `## ${author.role}${author.name ? ` (${author.name})` : ""}\n\n${body}\n\n`;
+  if (roleStyle === "bubble") {
+    // The user's side of the chat is quoted, the other side is plain text
+    if (author.role === "user") return `> **${label}**\n>\n${blockquote(body)}\n\n${anchor}`;
+    return `**${label}**${blockId ? ` ^${blockId}` : ""}\n\n${body}\n\n`;
+  }
+  return `## ${label}${blockId ? ` ^${blockId}` : ""}\n\n${body}\n\n`;
   } catch (err) {
     err.message += `\nNode: ${JSON.stringify(node)}`;
     throw err;
@@ -161,32 +534,188 @@ const dateFormat = new Intl.DateTimeFormat("en-US", {
 export const formatDate = (date) => dateFormat.format(date);
 
 /**
- * Converts a JSON object to markdown and saves it to a file.
- * @param {Object[]} json - The JSON object to convert.
- * @param {string} sourceDir - The directory to save the markdown files in.
- * @param {Object} [options] - The options object.
- * @param {Function} [options.dateFormat] - The function to format dates with.
- * @returns {Promise<void>} - A promise that resolves when the file is saved.
+ * Creates a date formatter like formatDate for another locale or time zone. Unlike formatDate, which uses the
+ * system's time zone, it gives times in UTC by default, like front matter dates, so a note shows the same day
+ * everywhere.
+ * @param {string} [locale="en-US"] - The BCP 47 locale, e.g. "fr-FR".
+ * @param {string} [timeZone="UTC"] - The IANA time zone, e.g. "Europe/Paris".
+ * @returns {Function} - Takes a Date and returns it formatted.
+ */
+function createDateFormat(locale = "en-US", timeZone = "UTC") {
+  const format = new Intl.DateTimeFormat(locale, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone,
+  });
+  return (date) => format.format(date);
+}
+
+/**
+ * Formats a time as an ISO 8601 string in a time zone, e.g. "2021-09-01T02:00:00.000+02:00".
+ * @param {Date} date - The time.
+ * @param {string} [timeZone] - The IANA time zone. Without one, the time is given in UTC.
+ * @returns {string} - The ISO string, whose first 10 characters are the date in that time zone.
+ */
+function toIsoString(date, timeZone) {
+  if (!timeZone || timeZone === "UTC") return date.toISOString();
+  const fields = ["year", "month", "day", "hour", "minute", "second"];
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .filter(({ type }) => fields.includes(type))
+      .map(({ type, value }) => [type, value]),
+  );
+  const ms = String(date.getUTCMilliseconds()).padStart(3, "0");
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, ms);
+  const offset = Math.round((local - date.getTime()) / 60000);
+  const zone = offset
+    ? `${offset < 0 ? "-" : "+"}${String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0")}:` +
+      String(Math.abs(offset) % 60).padStart(2, "0")
+    : "Z";
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${ms}${zone}`;
+}
+
+/**
+ * The labels written into notes, by language. `{placeholders}` are filled in, and labels with plural forms are keyed
+ * by Intl.PluralRules category.
+ */
+const STRINGS = {
+  en: {
+    reasoning: "Reasoning",
+    links: "Links",
+    sources: "Sources",
+    alternateBranch: "Alternate branch {index} of {total}",
+    forkedFrom: "{label}, forked from {link}",
+    canvasUpdated: "Canvas updated",
+    image: "Image",
+    noCustomGpt: "No custom GPT",
+    undated: "Undated",
+    messages: { one: "{count} message", other: "{count} messages" },
+    archive: "ChatGPT Archive",
+    search: "Search conversations",
+    noResults: "No results",
+  },
+  fr: {
+    reasoning: "Raisonnement",
+    links: "Liens",
+    sources: "Sources",
+    alternateBranch: "Branche alternative {index} sur {total}",
+    forkedFrom: "{label}, issue de {link}",
+    canvasUpdated: "Canvas mis à jour",
+    image: "Image",
+    noCustomGpt: "Sans GPT personnalisé",
+    undated: "Sans date",
+    messages: { one: "{count} message", other: "{count} messages" },
+    archive: "Archive ChatGPT",
+    search: "Rechercher dans les conversations",
+    noResults: "Aucun résultat",
+  },
+};
+
+/**
+ * Creates the label lookup for a locale: the labels of its language, falling back to English, with overrides.
+ * @param {string} [locale="en-US"] - The BCP 47 locale.
+ * @param {Object} [overrides] - Labels replacing the built-in ones, keyed like STRINGS.en.
+ * @returns {Function} - Takes a label key and its placeholder values, and returns the label.
  * @example
- * const json = [ ... ];
- * await convertToMarkdown(json, "./output");
- * //=> Creates a markdown file for each conversation in the output directory
+ * createTranslator("fr-FR")("alternateBranch", { index: 1, total: 2 });
+ * //=> "Branche alternative 1 sur 2"
  */
-function getOrderedNodeIds(conversation) {
-  const mapping = conversation.mapping;
+function createTranslator(locale = "en-US", overrides = {}) {
+  const strings = { ...STRINGS.en, ...STRINGS[new Intl.Locale(locale).language], ...overrides };
+  const plurals = new Intl.PluralRules(locale);
+  return (key, values = {}) => {
+    let label = strings[key] ?? key;
+    if (typeof label === "object") label = label[plurals.select(values.count)] ?? label.other;
+    return label.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  };
+}
+
+/**
+ * The English labels, for rendering outside of a conversation rendering context.
+ */
+const translateEnglish = createTranslator();
+
+/**
+ * Follows a conversation downwards from `id`, taking the most recent child at every fork.
+ * @param {Object} mapping - The conversation's node mapping.
+ * @param {string} id - The node id to start from.
+ * @returns {string[]} - The node ids from `id` down to a leaf.
+ */
+function followLatestChild(mapping, id) {
   const ordered = [];
-  function walk(id) {
-    if (!id || !mapping[id]) return;
+  const seen = new Set();
+  while (id && mapping[id] && !seen.has(id)) {
+    seen.add(id);
     ordered.push(id);
     const children = mapping[id].children || [];
-    children.forEach(walk);
+    id = children[children.length - 1];
   }
-  // Start from the root synthetic id "client-created-root" if present, else pick the first key
-  const rootId = mapping["client-created-root"] ? "client-created-root" : Object.keys(mapping)[0];
-  walk(rootId);
   return ordered;
 }
 
+/**
+ * Returns the node ids of the active branch, i.e. the path from the root to `conversation.current_node`.
+ * Regenerated replies and edited prompts that were abandoned are not part of this path.
+ * @param {Object} conversation - The conversation to traverse.
+ * @returns {string[]} - The node ids in conversation order.
+ */
+function getOrderedNodeIds(conversation) {
+  const mapping = conversation.mapping;
+  const current = conversation.current_node;
+  if (current && mapping[current]) {
+    const ordered = [];
+    const seen = new Set();
+    for (let id = current; id && mapping[id] && !seen.has(id); id = mapping[id].parent) {
+      seen.add(id);
+      ordered.push(id);
+    }
+    return ordered.reverse();
+  }
+  // Without a current node, start from the synthetic "client-created-root" (or the first parentless node)
+  // and follow the most recent reply at every fork, as the ChatGPT UI does
+  const ids = Object.keys(mapping);
+  const rootId = mapping["client-created-root"]
+    ? "client-created-root"
+    : (ids.find((id) => !mapping[id]?.parent) ?? ids[0]);
+  return followLatestChild(mapping, rootId);
+}
+
+/**
+ * Finds the alternate branches that fork off the active path.
+ * @param {Object} conversation - The conversation to traverse.
+ * @param {string[]} orderedIds - The node ids of the active path, as returned by getOrderedNodeIds.
+ * @returns {Map<string, {index: number, total: number, ids: string[]}[]>} - Alternate branches keyed by the id
+ *   of the node they fork from. Each branch follows its most recent reply down to a leaf.
+ */
+function getAlternateBranches(conversation, orderedIds) {
+  const mapping = conversation.mapping;
+  const active = new Set(orderedIds);
+  const forks = new Map();
+  for (const id of orderedIds) {
+    const children = (mapping[id].children || []).filter((child) => mapping[child]);
+    if (children.length < 2) continue;
+    const branches = children
+      .map((child, index) => ({ index: index + 1, total: children.length, child }))
+      .filter(({ child }) => !active.has(child))
+      .map(({ index, total, child }) => ({ index, total, ids: followLatestChild(mapping, child) }));
+    if (branches.length) forks.set(id, branches);
+  }
+  return forks;
+}
+
 
 /**
  * Returns a safe title for a URL, using the provided title or extracting from the URL.
@@ -224,9 +753,10 @@ function extractSearchResults(metadata = {}) {
 /**
  * Builds a map of citation keys to formatted markdown links.
  * @param {Object} metadata - The message metadata containing citations.
+ * @param {Function} [toMarkdown] - Formats a cited source ({url, title}); by default as a markdown link.
  * @returns {Object} - Map of citation reference IDs to markdown links.
  */
-function buildCitationMap(metadata = {}) {
+function buildCitationMap(metadata = {}, toMarkdown = ({ url, title }) => `[${title}](${url})`) {
   const map = {};
   
   if (Array.isArray(metadata.citations)) {
@@ -234,7 +764,7 @@ function buildCitationMap(metadata = {}) {
       const key = citation.ref_id || citation.source_id || citation.id;
       
       if (key && citation.url) {
-        map[key] = `[${safeTitle(citation.url, citation.title)}](${citation.url})`;
+        map[key] = toMarkdown({ url: citation.url, title: safeTitle(citation.url, citation.title) });
       }
     }
   }
@@ -264,9 +794,120 @@ function replaceCitationPlaceholders(text, citationMap) {
 function extractCitations(metadata = {}) {
   if (!Array.isArray(metadata.citations)) return "";
   
-  return "\n" + metadata.citations.map(citation => {
-    return `> [${citation.name}](${citation.url})\n\n> ${citation.detail}\n`;
-  }).join("\n");
+  // Older exports keep the URL and title in the citation's own metadata, and may have no name or detail at all
+  const quotes = metadata.citations
+    .map((citation) => {
+      const url = citation.url ?? citation.metadata?.url;
+      const name = citation.name ?? citation.title ?? citation.metadata?.title;
+      const detail = citation.detail ?? citation.metadata?.text;
+      const link = url ? `[${safeTitle(url, name)}](${url})` : name;
+      return [link, detail].filter(Boolean).map((line) => `> ${line}\n`).join("\n");
+    })
+    .filter(Boolean);
+  return quotes.length ? "\n" + quotes.join("\n") : "";
+}
+
+/**
+ * Collects the sources a message cites, with the text that marks each citation, from its `content_references`
+ * (current exports) and `citations` (older exports).
+ * @param {Object} metadata - The message metadata.
+ * @param {string} text - The message text before citations are replaced, which older citations index into.
+ * @returns {{marker: string|null, alt: string|null, sources: {url: string, title: string}[]}[]} - The citations. A
+ *   null marker means the sources are not cited at a point in the text.
+ */
+function collectCitations(metadata = {}, text = "") {
+  const toSource = (item) =>
+    item?.url ? { url: item.url, title: safeTitle(item.url, item.title ?? item.name ?? item.attribution) } : null;
+  const citations = [];
+  for (const reference of metadata.content_references ?? []) {
+    const items = [...(reference.items ?? []), ...(reference.sources ?? []), ...(reference.url ? [reference] : [])];
+    const sources = items.map(toSource).filter(Boolean);
+    const marker = reference.matched_text?.trim() ? reference.matched_text : null;
+    if (marker || sources.length) citations.push({ marker, alt: reference.alt ?? null, sources });
+  }
+  for (const citation of metadata.citations ?? []) {
+    const source = toSource({ ...citation.metadata, ...citation });
+    if (!source) continue;
+    const { start_ix: start, end_ix: end } = citation;
+    const marker = Number.isInteger(start) && end > start ? text.slice(start, end) : null;
+    citations.push({ marker: marker?.trim() ? marker : null, alt: null, sources: [source] });
+  }
+  return citations;
+}
+
+/**
+ * Replaces the citation markers of `content_references` with links to their sources, or with ChatGPT's own
+ * rendering of them when the export has one. Markers without sources are removed.
+ * @param {string} text - The message text.
+ * @param {Object} metadata - The message metadata.
+ * @returns {string} - The text with the markers replaced.
+ */
+function replaceContentReferences(text, metadata = {}) {
+  if (!text || !Array.isArray(metadata.content_references)) return text;
+  const references = collectCitations({ content_references: metadata.content_references });
+  return references.reduce((result, { marker, alt, sources }) => {
+    if (!marker) return result;
+    const links = alt ?? sources.map(({ url, title }) => `[${title}](${url})`).join(" ");
+    return result.replace(marker, () => links);
+  }, text);
+}
+
+/**
+ * Numbers a source as a footnote of the conversation, once per URL.
+ * @param {Object} ctx - The conversation rendering context, holding the `sources` seen so far.
+ * @param {{url: string, title: string}} source - The source.
+ * @param {boolean} [cited=true] - Whether the source is cited in the text and so needs a footnote number.
+ * @returns {number|null} - The footnote number, or null for a source that is only listed.
+ */
+function addSource(ctx, { url, title }, cited = true) {
+  if (!ctx.sources.has(url)) ctx.sources.set(url, { url, title, footnote: null });
+  const source = ctx.sources.get(url);
+  if (cited && !source.footnote) {
+    source.footnote = [...ctx.sources.values()].filter((other) => other.footnote).length + 1;
+  }
+  return source.footnote;
+}
+
+/**
+ * Replaces the citations of a message with footnote references (`[^n]`) and records every source it cites or
+ * searched for in the conversation's sources.
+ * @param {string} text - The message text.
+ * @param {Object} metadata - The message metadata.
+ * @param {Object} ctx - The conversation rendering context.
+ * @returns {string} - The text with footnote references.
+ */
+function citeAsFootnotes(text, metadata, ctx) {
+  const footnotes = (sources) => sources.map((source) => `[^${addSource(ctx, source)}]`).join("");
+  let result = text;
+  for (const { marker, sources } of collectCitations(metadata, text)) {
+    if (marker && result.includes(marker)) result = result.replace(marker, () => footnotes(sources));
+    else sources.forEach((source) => addSource(ctx, source, false));
+  }
+  result = replaceCitationPlaceholders(result, buildCitationMap(metadata, (source) => footnotes([source])));
+  for (const group of metadata.search_result_groups ?? []) {
+    for (const entry of group.entries ?? []) {
+      if (entry.url) addSource(ctx, { url: entry.url, title: safeTitle(entry.url, entry.title) }, false);
+    }
+  }
+  return result;
+}
+
+/**
+ * Renders the Sources section of a note: the footnotes of the cited sources, then the other sources.
+ * @param {Map<string, Object>} sources - The conversation's sources, keyed by URL.
+ * @param {Function} t - The label lookup returned by createTranslator.
+ * @returns {string} - The section, or "" if there are no sources.
+ */
+function renderSources(sources, t) {
+  const link = ({ url, title }) => `[${title.replace(/[[\]]/g, "\\$&")}](${url})`;
+  const all = [...sources.values()];
+  const footnotes = all
+    .filter((source) => source.footnote)
+    .sort((a, b) => a.footnote - b.footnote)
+    .map((source) => `[^${source.footnote}]: ${link(source)}`);
+  const others = all.filter((source) => !source.footnote).map((source) => `- ${link(source)}`);
+  if (!all.length) return "";
+  return `## ${t("sources")}\n\n${[footnotes.join("\n"), others.join("\n")].filter(Boolean).join("\n\n")}\n`;
 }
 
 /**
@@ -283,6 +924,9 @@ function shouldIncludeMessage(node) {
   if (meta.is_visually_hidden_from_conversation) return false;
   if (meta.reasoning_status === "reasoning_ended") return false;
   
+  // Skip the Canvas tool's confirmations; the canvas notes hold the result
+  if (node.message.author.role === "tool" && node.message.author.name?.startsWith("canmore.")) return false;
+
   // Skip empty system messages
   if (node.message.author.role === "system" && !node.message.content?.parts?.join("").trim()) return false;
   
@@ -314,71 +958,36 @@ function shouldIncludeMessage(node) {
   return true;
 }
 
-async function chatgptToMarkdown(json, sourceDir, { dateFormat } = { dateFormat: formatDate }) {
-  if (!Array.isArray(json)) {
-    throw new TypeError("The first argument must be an array.");
-  }
-  if (typeof sourceDir !== "string") {
-    throw new TypeError("The second argument must be a string.");
-  }
-
-  for (const conversation of json) {
-    const sanitizedTitle = sanitizeFileName(conversation.title) || conversation.conversation_id;
-    const fileName = `${sanitizedTitle}.md`;
-    const filePath = path.join(sourceDir, fileName);
-    const title = `# ${wrapHtmlTagsInBackticks(conversation.title)}\n`;
-
-    // Extract the first available model slug stored in any node's metadata
-    const modelName =
-      Object.values(conversation.mapping)
-        .map((n) => n?.message?.metadata?.model_slug)
-        .find((v) => v) ?? "";
-
-    // Build the YAML front-matter block
-    const frontMatterLines = [
-      "---",
-      `create_time: ${new Date(conversation.create_time * 1000).toISOString()}`,
-      `update_time: ${new Date(conversation.update_time * 1000).toISOString()}`,
-      "tags:",
-      "completed: false",
-      "validated: false",
-      "favorite: false",
-      "ai_integration: true",
-      "ai_integration_level: generation",
-      `ai_model_name: ${modelName}`,
-      `aliases: ${wrapHtmlTagsInBackticks(conversation.title)}`,
-      "author:",
-      `source: https://chatgpt.com/c/${conversation.conversation_id}`,
-      "---",
-    ];
-    const metadata = frontMatterLines.join("\n");
-
-    // Traverse nodes in a deterministic order
-    const orderedMessages = getOrderedNodeIds(conversation)
-      .map(id => conversation.mapping[id])
-      .filter(node => shouldIncludeMessage(node));
-
-    let inCallout = false;
-    const parts = [];
-    for (const n of orderedMessages) {
+/**
+ * Renders a sequence of conversation nodes as markdown, grouping consecutive reasoning messages into a callout.
+ * @param {Object[]} nodes - The conversation nodes to render, in order.
+ * @param {Object} ctx - The conversation rendering context.
+ * @param {Function} [afterNode] - Called after each node (included or not); may return markdown to insert there.
+ * @returns {string} - The rendered messages.
+ */
+function renderMessages(nodes, ctx, afterNode) {
+  let inCallout = false;
+  const parts = [];
+  for (const n of nodes) {
+    if (shouldIncludeMessage(n)) {
       const meta = n.message.metadata || {};
       const isReason = meta.reasoning_status === "is_reasoning";
       if (isReason) {
         // Get raw markdown content without any callout formatting
-        let rawContent = nodeToMarkdown(n, { skipHeader: true });
-        
+        let rawContent = nodeToMarkdown(n, { skipHeader: true, ctx });
+
         // Ensure we have a parent callout wrapper
         if (!inCallout) {
-          parts.push("> [!info]- Reasoning\n");
+          parts.push(`> [!info]- ${ctx.t("reasoning")}\n`);
           inCallout = true;
         } else {
           // Separate sibling callouts
           parts.push("> \n");
         }
-        
+
         // Split content into lines for analysis
         const contentLines = rawContent.trim().split("\n");
-        
+
         // Check if this is a link-only section
         // First filter out any non-candidate lines (code, headings, etc.)
         const candidateLines = contentLines.filter(line => {
@@ -389,7 +998,7 @@ async function chatgptToMarkdown(json, sourceDir, { dateFormat } = { dateFormat:
           if (/^\[!\w+\]/i.test(trimmed)) return false;
           return true;
         });
-        
+
         // Test if all candidate lines are markdown links
         const linkRegex = /^\[[^\]]+\]\(https?:\/\/[^)]+\)/;
         const hasLinks = candidateLines.some(line => linkRegex.test(line.trim()));
@@ -397,18 +1006,18 @@ async function chatgptToMarkdown(json, sourceDir, { dateFormat } = { dateFormat:
           const trimmed = line.trim();
           return !trimmed || linkRegex.test(trimmed);
         });
-        
+
         // Initialize variables for content processing
-        let calloutTitle = "Reasoning";
+        let calloutTitle = ctx.t("reasoning");
         let outputLines = [...contentLines];
-        
+
         // If not link-only, check for heading as title
         if (!onlyLinks) {
           // Look for the first non-empty line
           for (let i = 0; i < contentLines.length; i++) {
             const line = contentLines[i].trim();
             if (!line) continue;
-            
+
             if (line.startsWith("#####")) {
               // Extract heading text as title
               calloutTitle = line.replace(/^#+\s*/, "");
@@ -418,31 +1027,1858 @@ async function chatgptToMarkdown(json, sourceDir, { dateFormat } = { dateFormat:
             break;
           }
         }
-        
+
         // Add the appropriate nested callout header
         if (onlyLinks) {
-          parts.push(">> [!quote]- Links\n");
+          parts.push(`>> [!quote]- ${ctx.t("links")}\n`);
         } else {
           parts.push(`>> [!example]- ${calloutTitle}\n`);
         }
-        
+
         // Add all content lines with proper nesting
         outputLines.forEach(line => {
           const trimmed = line.trim();
           // Always use >> for nested content, even for empty lines
           parts.push(trimmed ? `>> ${trimmed}\n` : ">>\n");
         });
-        
-        continue;
+      } else {
+        const markdown = nodeToMarkdown(n, { ctx });
+        // Close the reasoning callout so that the message does not continue it
+        if (markdown && inCallout) {
+          parts.push("\n");
+          inCallout = false;
+        }
+        parts.push(markdown);
       }
-      parts.push(nodeToMarkdown(n));
     }
-    if (inCallout) parts.push("\n");
-    const messages = parts.join("");
-    const markdownContent = `${metadata}\n\n${title}\n\n${messages}`;
-    await fs.writeFile(filePath, markdownContent, "utf8");
-    await fs.utimes(filePath, conversation.create_time, conversation.update_time);
+    const extra = afterNode?.(n);
+    if (extra) {
+      // Close the reasoning callout so the inserted markdown starts a new block
+      if (inCallout) parts.push("\n");
+      inCallout = false;
+      parts.push(extra);
+    }
+  }
+  if (inCallout) parts.push("\n");
+  return parts.join("");
+}
+
+/**
+ * Returns the first model slug stored in any node's metadata.
+ * @param {Object} conversation - The conversation.
+ * @returns {string|null} - The model slug, e.g. "gpt-4o", or null if unknown.
+ */
+function getModelSlug(conversation) {
+  return (
+    Object.values(conversation.mapping)
+      .map((n) => n?.message?.metadata?.model_slug)
+      .find((v) => v) ?? null
+  );
+}
+
+/**
+ * Renders a path template such as "{year}/{month}/{title}" for a conversation. Placeholders are filled per path
+ * segment and every segment is sanitized, so values containing "/" never create folders. Empty folders are dropped.
+ * @param {string} template - The path template, with "/" separating folders.
+ * @param {Object} conversation - The conversation.
+ * @param {string} [timeZone] - The time zone of the date placeholders; UTC by default.
+ * @returns {string} - The note path relative to the output directory, "/"-separated and without extension.
+ */
+function renderPathTemplate(template, conversation, timeZone) {
+  const conversationId = conversation.conversation_id ?? conversation.id ?? "";
+  const date = toIsoString(new Date((conversation.create_time ?? 0) * 1000), timeZone).slice(0, 10);
+  const values = {
+    title: conversation.title ?? "",
+    id: conversationId,
+    year: date.slice(0, 4),
+    month: date.slice(5, 7),
+    day: date.slice(8, 10),
+    date,
+    gizmo: conversation.gizmo_id ?? "",
+    model: getModelSlug(conversation) ?? "",
+  };
+  const segments = template.split("/").map((segment) =>
+    sanitizeFileName(segment.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match)))
+      // Never climb out of the output directory or create hidden folders
+      .replace(/^\.+/, "")
+      .trim(),
+  );
+  const fileName = segments.pop() || conversationId;
+  return [...segments.filter(Boolean), fileName].join("/");
+}
+
+/**
+ * Formats an Obsidian wikilink to a note, showing only the note name when it lives in a sub-folder.
+ * @param {string} notePath - The "/"-separated note path without extension.
+ * @returns {string} - The wikilink.
+ */
+function wikilink(notePath) {
+  const name = notePath.split("/").pop();
+  return name === notePath ? `[[${notePath}]]` : `[[${notePath}|${name}]]`;
+}
+
+/**
+ * Creates a function that assigns each conversation a note path that no other conversation uses.
+ * A conversation keeps the path from its template unless that is taken, in which case its creation date is appended,
+ * and then a short id. Paths are compared case-insensitively, since most file systems are.
+ * @param {Map<string, string>} [reserved] - Paths already in use, e.g. by notes from earlier sync runs, mapped to the
+ *   id of the conversation using them. A conversation may reclaim its own path.
+ * @param {string} [pathTemplate="{title}"] - The path template passed to renderPathTemplate.
+ * @param {string} [timeZone] - The time zone of the dates in paths and name suffixes; UTC by default.
+ * @returns {Function} - Takes a conversation and returns its "/"-separated note path without extension.
+ */
+function createNoteNamer(reserved = new Map(), pathTemplate = "{title}", timeZone = undefined) {
+  const taken = new Map([...reserved].map(([name, id]) => [name.toLowerCase(), id]));
+  return (conversation) => {
+    const conversationId = conversation.conversation_id ?? conversation.id ?? "";
+    const isFree = (candidate) => (taken.get(candidate.toLowerCase()) ?? conversationId) === conversationId;
+    const base = renderPathTemplate(pathTemplate, conversation, timeZone);
+    const date = toIsoString(new Date(conversation.create_time * 1000), timeZone).slice(0, 10);
+    const candidates = [base, `${base} (${date})`, `${base} (${date} ${conversationId.slice(0, 8)})`];
+    let name = candidates.find(isFree);
+    for (let i = 2; !name; i++) {
+      const candidate = `${candidates[2]} ${i}`;
+      if (isFree(candidate)) name = candidate;
+    }
+    taken.set(name.toLowerCase(), conversationId);
+    return name;
+  };
+}
+
+/**
+ * Assigns note names to a batch of conversations. The oldest conversation with a given title keeps the plain title,
+ * so names stay stable when newer conversations with the same title appear in later exports.
+ * @param {Object[]} conversations - The conversations to name.
+ * @param {Function} nameOf - The namer returned by createNoteNamer.
+ * @returns {Map<Object, string>} - Note paths without extension, keyed by conversation.
+ */
+function assignNoteNames(conversations, nameOf) {
+  const byAge = [...conversations].sort(
+    (a, b) =>
+      (a.create_time ?? 0) - (b.create_time ?? 0) ||
+      String(a.conversation_id ?? a.id ?? "").localeCompare(String(b.conversation_id ?? b.id ?? "")),
+  );
+  return new Map(byAge.map((conversation) => [conversation, nameOf(conversation)]));
+}
+
+/**
+ * Lists the conversations to convert, or only what naming them needs, so that they can be named before any is
+ * converted. Streams are read for this only if they can be read again (see rereadable).
+ * @param {Object[]|AsyncIterable<Object>} json - The conversations.
+ * @param {Function} filter - Only lists conversations for which this returns true.
+ * @returns {Promise<Object[]|null>} - The conversations of an array; for a stream, their ids, titles, creation times,
+ *   gizmos and models; null for a stream that can be read only once.
+ */
+async function readNamingBatch(json, filter) {
+  if (Array.isArray(json)) return json.filter((conversation) => filter(conversation));
+  if (!isRereadable(json)) return null;
+  const batch = [];
+  for await (const conversation of json) {
+    if (!filter(conversation)) continue;
+    const model_slug = getModelSlug(conversation);
+    batch.push({
+      conversation_id: conversation.conversation_id,
+      id: conversation.id,
+      title: conversation.title,
+      create_time: conversation.create_time,
+      gizmo_id: conversation.gizmo_id,
+      mapping: model_slug ? { model: { message: { metadata: { model_slug } } } } : {},
+    });
+  }
+  return batch;
+}
+
+/**
+ * Creates a function returning the note path of each conversation of a batch named up front by assignNoteNames, so
+ * names do not depend on the order conversations arrive in.
+ * @param {Object[]|null} batch - The conversations, as listed by readNamingBatch. Without them, conversations are
+ *   named in the order they arrive.
+ * @param {Function} nameOf - The namer returned by createNoteNamer.
+ * @returns {Function} - Takes a conversation and returns its "/"-separated note path without extension.
+ */
+function createBatchNamer(batch, nameOf) {
+  const idOf = (conversation) => conversation.conversation_id ?? conversation.id;
+  const names = batch ? assignNoteNames(batch, nameOf) : new Map();
+  // A stream's conversations are other objects than those read for naming, so they are found by id
+  const namesById = new Map(
+    [...names].filter(([conversation]) => idOf(conversation)).map(([conversation, name]) => [idOf(conversation), name]),
+  );
+  return (conversation) => names.get(conversation) ?? namesById.get(idOf(conversation)) ?? nameOf(conversation);
+}
+
+/**
+ * The default front matter template. Keys are emitted in order; values are either literals, strings with
+ * `{placeholder}`s (see frontMatterData), or functions that receive the placeholder data and return the value.
+ */
+export const DEFAULT_FRONT_MATTER = {
+  create_time: "{create_time}",
+  update_time: "{update_time}",
+  tags: "{tags}",
+  completed: false,
+  validated: false,
+  favorite: false,
+  ai_integration: true,
+  ai_integration_level: "generation",
+  ai_model_name: "{model}",
+  aliases: "{title}",
+  author: null,
+  conversation_id: "{id}",
+  source: "{source}",
+};
+
+/**
+ * Serializes a string as a YAML scalar, quoting it only when a plain scalar would be invalid or change its type.
+ * @param {string} str - The string to serialize.
+ * @returns {string} - The YAML scalar.
+ */
+function yamlString(str) {
+  const plain =
+    str &&
+    str === str.trim() &&
+    !/[\x00-\x1f\x7f]/.test(str) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(str) &&
+    !/:(\s|$)|\s#/.test(str) &&
+    !/^(true|false|yes|no|on|off|y|n|null|~)$/i.test(str) &&
+    !/^[-+]?(\.?\d[\d_]*\.?\d*([eE][-+]?\d+)?|0x[\da-f]+|0o[0-7]+|\.inf|\.nan)$/i.test(str);
+  // JSON strings are valid YAML double-quoted scalars
+  return plain ? str : JSON.stringify(str);
+}
+
+/**
+ * Serializes a value as YAML. Strings are quoted as needed, arrays become block sequences and objects flow mappings.
+ * @param {string} key - The front matter key.
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The YAML line(s) for this key.
+ */
+function yamlField(key, value) {
+  const scalar = (v) =>
+    v === null || v === undefined
+      ? ""
+      : v instanceof Date
+        ? v.toISOString()
+        : typeof v === "string"
+          ? yamlString(v)
+          : typeof v === "object"
+            ? JSON.stringify(v)
+            : String(v);
+  if (Array.isArray(value)) {
+    return value.length ? `${key}:\n${value.map((item) => `  - ${scalar(item)}`).join("\n")}` : `${key}: []`;
+  }
+  const serialized = scalar(value);
+  return serialized ? `${key}: ${serialized}` : `${key}:`;
+}
+
+/**
+ * Parses a YAML scalar as written by yamlField: quoted and plain strings, numbers, booleans, null and JSON flow
+ * collections, as well as flow sequences of plain strings.
+ * @param {string} text - The scalar.
+ * @returns {*} - The value.
+ */
+function parseYamlScalar(text) {
+  const value = text.trim();
+  if (!value || /^(null|~)$/.test(value)) return null;
+  if (value === "true" || value === "false") return value === "true";
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^["[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      // Not JSON, e.g. YAML-only syntax: keep the text
+    }
+  }
+  if (value.startsWith("[") && value.endsWith("]")) {
+    // A YAML flow sequence, e.g. `[chat, "to do"]` typed by hand
+    const items = value.slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) ?? [];
+    return items.filter((item) => item.trim()).map(parseYamlScalar);
+  }
+  return value;
+}
+
+/**
+ * Parses a note's front matter. Only the YAML this converter writes is understood: one `key: value` per line, and
+ * lists as `key:` followed by `  - item` lines or as `[a, b]`.
+ * @param {string} markdown - The note.
+ * @returns {{data: Object, body: string}} - The front matter fields, empty if the note has none, and the rest of the
+ *   note.
+ * @example
+ * parseFrontMatter("---\ntags:\n  - chat\nfavorite: true\n---\n\n# Title\n");
+ * //=> { data: { tags: ["chat"], favorite: true }, body: "\n# Title\n" }
+ */
+function parseFrontMatter(markdown) {
+  const match = markdown.match(/^---\r?\n([\s\S]*?\r?\n)?---(\r?\n|$)/);
+  if (!match) return { data: {}, body: markdown };
+  const data = {};
+  // The key whose value is empty so far, which `  - item` lines turn into a list
+  let listKey = null;
+  for (const line of (match[1] ?? "").split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s*(.*)$/);
+    if (item && listKey) {
+      data[listKey] = [...(data[listKey] ?? []), parseYamlScalar(item[1])];
+      continue;
+    }
+    const field = line.match(/^([^\s:#][^:]*?):(?:\s+(.*))?$/);
+    if (!field) continue;
+    const [, key, value = ""] = field;
+    data[key] = parseYamlScalar(value);
+    listKey = value.trim() ? null : key;
+  }
+  return { data, body: markdown.slice(match[0].length) };
+}
+
+/**
+ * Serializes a value as a Logseq property line.
+ * @param {string} key - The property name.
+ * @param {*} value - The value. Arrays become comma-separated lists.
+ * @returns {string} - The `key:: value` line, or "" for empty values, which Logseq cannot store.
+ */
+function logseqProperty(key, value) {
+  const scalar = (v) =>
+    v === null || v === undefined
+      ? ""
+      : v instanceof Date
+        ? v.toISOString()
+        : typeof v === "object"
+          ? JSON.stringify(v)
+          : String(v).replace(/\s*\n\s*/g, " ");
+  const serialized = Array.isArray(value) ? value.map(scalar).filter(Boolean).join(", ") : scalar(value);
+  return serialized ? `${key}:: ${serialized}` : "";
+}
+
+/**
+ * Formats the relative, URL-encoded target of a Markdown link from one note to a file.
+ * @param {string} target - The file's "/"-separated path relative to the output directory, with extension.
+ * @param {string} from - The linking note's "/"-separated path relative to the output directory.
+ * @returns {string} - The link target.
+ */
+function relativeLinkTarget(target, from) {
+  return path.posix.relative(path.posix.dirname(from), target).split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * Splits markdown lines into blockquotes, which are parsed recursively and may be Obsidian callouts, and the text
+ * between them. Lines inside fenced code blocks are always text.
+ * @param {string[]} lines - The markdown lines.
+ * @returns {Object[]} - The blocks: `{type: "text", lines}`, `{type: "quote", lines, children}` or
+ *   `{type: "callout", kind, title, collapsed, lines, children}`, where `lines` are the block's original lines.
+ */
+function parseQuotes(lines) {
+  const blocks = [];
+  let inFence = false;
+  for (let i = 0; i < lines.length; ) {
+    if (!inFence && lines[i].startsWith(">")) {
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith(">")) quoted.push(lines[i++]);
+      const inner = quoted.map((line) => line.replace(/^> ?/, ""));
+      const callout = inner[0].match(/^\[!([\w-]+)\]([-+]?) ?(.*)$/);
+      blocks.push(
+        callout
+          ? {
+              type: "callout",
+              kind: callout[1],
+              title: callout[3],
+              collapsed: callout[2] === "-",
+              lines: quoted,
+              children: parseQuotes(inner.slice(1)),
+            }
+          : { type: "quote", lines: quoted, children: parseQuotes(inner) },
+      );
+      continue;
+    }
+    if (/^\s*(```|~~~)/.test(lines[i])) inFence = !inFence;
+    const last = blocks[blocks.length - 1];
+    if (last?.type === "text") last.lines.push(lines[i]);
+    else blocks.push({ type: "text", lines: [lines[i]] });
+    i++;
+  }
+  return blocks;
+}
+
+/**
+ * Gives a callout's title, falling back to its capitalized type like Obsidian does.
+ * @param {Object} callout - The callout block returned by parseQuotes.
+ * @returns {string} - The title.
+ */
+function calloutTitle({ kind, title }) {
+  return title || kind[0].toUpperCase() + kind.slice(1);
+}
+
+/**
+ * Serializes blocks returned by parseQuotes as CommonMark / GitHub Flavored Markdown: collapsed callouts become
+ * `<details>` elements and the others blockquotes under a bold title.
+ * @param {Object[]} blocks - The blocks.
+ * @returns {string[]} - The markdown lines.
+ */
+function toCommonMark(blocks) {
+  const quote = (lines) => lines.map((line) => (line ? `> ${line}` : ">"));
+  return blocks.flatMap((block) => {
+    if (block.type === "text") return block.lines;
+    const body = toCommonMark(block.children);
+    if (block.type === "quote") return quote(body);
+    while (body.length && !body[body.length - 1]) body.pop();
+    const title = calloutTitle(block);
+    if (!block.collapsed) return quote([`**${title}**`, "", ...body]);
+    const summary = title.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    // An HTML block only ends at a blank line
+    return ["<details>", `<summary>${summary}</summary>`, "", ...body, "", "</details>", ""];
+  });
+}
+
+/**
+ * Splits markdown lines into paragraphs at blank lines outside fenced code blocks.
+ * @param {string[]} lines - The markdown lines.
+ * @returns {string[][]} - The paragraphs' lines.
+ */
+function splitParagraphs(lines) {
+  const paragraphs = [];
+  let current = [];
+  let inFence = false;
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && !line.trim()) {
+      if (current.length) paragraphs.push(current);
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length) paragraphs.push(current);
+  return paragraphs;
+}
+
+/**
+ * Arranges blocks returned by parseQuotes as a Logseq outline. Each paragraph, list item and blockquote becomes a
+ * block nested under the heading before it, and each callout a block (collapsed if the callout is) holding its body.
+ * @param {Object[]} blocks - The blocks.
+ * @returns {Object[]} - The outline blocks: `{lines, properties, children}`.
+ */
+function toOutline(blocks) {
+  const outline = [];
+  // The open headings, innermost last
+  const headings = [];
+  const add = (block, level) => {
+    while (level && headings.length && headings[headings.length - 1].level >= level) headings.pop();
+    (headings.length ? headings[headings.length - 1].block.children : outline).push(block);
+    if (level) headings.push({ level, block });
+  };
+  for (const block of blocks) {
+    if (block.type === "callout") {
+      const properties = block.collapsed ? ["collapsed:: true"] : [];
+      add({ lines: [`**${calloutTitle(block)}**`], properties, children: toOutline(block.children) });
+    } else if (block.type === "quote") {
+      add({ lines: block.lines, properties: [], children: [] });
+    } else {
+      for (let paragraph of splitParagraphs(block.lines)) {
+        if (paragraph.every((line) => /^[-*+] /.test(line))) {
+          for (const item of paragraph) add({ lines: [item.slice(2)], properties: [], children: [] });
+          continue;
+        }
+        // Indented paragraphs (the "indented" role style) would read as code blocks
+        if (paragraph.every((line) => line.startsWith("    "))) paragraph = paragraph.map((line) => line.slice(4));
+        const heading = paragraph[0].match(/^(#{1,6}) /);
+        add({ lines: paragraph, properties: [], children: [] }, heading?.[1].length);
+      }
+    }
+  }
+  return outline;
+}
+
+/**
+ * Serializes an outline returned by toOutline in Logseq's file format: tab-indented `- ` bullets whose further lines
+ * and properties are aligned with their first line.
+ * @param {Object[]} outline - The outline blocks.
+ * @param {number} [depth=0] - The nesting depth.
+ * @returns {string[]} - The lines.
+ */
+function renderOutline(outline, depth = 0) {
+  const indentation = "\t".repeat(depth);
+  return outline.flatMap(({ lines, properties, children }) => [
+    `${indentation}- ${lines[0]}`,
+    ...[...lines.slice(1), ...properties].map((line) => `${indentation}  ${line}`),
+    ...renderOutline(children, depth + 1),
+  ]);
+}
+
+/**
+ * Output flavors. Notes are rendered as Obsidian Markdown; a flavor formats the links, embeds and front matter
+ * and converts the rest of each note (its callouts, block ids and layout) with `convert`.
+ * - `link(notePath, from)` links to a note and `embedNote(notePath, from)` embeds one. Note paths are "/"-separated
+ *   and relative to the output directory, without extension.
+ * - `embed(filePath, from)` embeds an attachment, given with extension.
+ * - `frontMatter(fields)` renders `[key, value]` pairs as the note's metadata.
+ */
+const FLAVORS = {
+  obsidian: {
+    link: (notePath) => wikilink(notePath),
+    embedNote: (notePath) => `!${wikilink(notePath)}`,
+    embed: (filePath) => `![[${filePath.split("/").pop()}]]`,
+    frontMatter: (fields) => ["---", ...fields.map(([key, value]) => yamlField(key, value)), "---"].join("\n"),
+    convert: (markdown) => markdown,
+  },
+  commonmark: {
+    link: (notePath, from) =>
+      `[${notePath.split("/").pop().replace(/[[\]]/g, "\\$&")}](${relativeLinkTarget(`${notePath}.md`, from)})`,
+    // Notes cannot be embedded, so they are linked
+    embedNote: (notePath, from) => FLAVORS.commonmark.link(notePath, from),
+    embed: (filePath, from) => `![${filePath.split("/").pop()}](${relativeLinkTarget(filePath, from)})`,
+    frontMatter: (fields) => FLAVORS.obsidian.frontMatter(fields),
+    // Block ids become HTML anchors, so `Note.md#msg-<id>` links still work
+    convert: (markdown) => {
+      const lines = markdown.replace(/(^| )\^(msg-[\w-]+)$/gm, '$1<a id="$2"></a>').split("\n");
+      return toCommonMark(parseQuotes(lines)).join("\n");
+    },
+  },
+  logseq: {
+    // Logseq names pages after their file, wherever it is
+    link: (notePath) => `[[${notePath.split("/").pop()}]]`,
+    embedNote: (notePath) => `{{embed [[${notePath.split("/").pop()}]]}}`,
+    embed: (filePath, from) => FLAVORS.commonmark.embed(filePath, from),
+    frontMatter: (fields) =>
+      fields
+        .map(([key, value]) => logseqProperty(key, value))
+        .filter(Boolean)
+        .join("\n"),
+    // Logseq block ids must be UUIDs, so message block ids are dropped
+    convert: (markdown) => {
+      const lines = markdown.replace(/^\^msg-[\w-]+$| \^msg-[\w-]+$/gm, "").split("\n");
+      return `${renderOutline(toOutline(parseQuotes(lines))).join("\n")}\n`;
+    },
+  },
+};
+
+/**
+ * Normalizes a string into an Obsidian tag: lowercase, no spaces, only letters, digits, "_", "-" and "/".
+ * @param {string} tag - The raw tag.
+ * @returns {string} - The tag, or "" if nothing usable is left.
+ */
+function sanitizeTag(tag) {
+  const cleaned = String(tag)
+    .toLowerCase()
+    .replace(/^#/, "")
+    .replace(/[\s.]+/g, "-")
+    .replace(/[^\p{L}\p{N}_\-/]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-/]+|[-/]+$/g, "");
+  // Obsidian ignores purely numeric tags
+  return /[^\d/]/.test(cleaned) ? cleaned : "";
+}
+
+/**
+ * Generates tags describing a conversation: the model, the custom GPT, the kinds of content present
+ * (`has/code`, `has/browsing`, `has/images`, `has/reasoning`), the languages of code blocks, and user-defined rules.
+ * @param {Object} conversation - The conversation.
+ * @param {Object[]} nodes - The nodes of the active branch.
+ * @param {Object} [options] - The tagging options.
+ * @param {boolean} [options.autoTags=true] - Whether to derive tags from the conversation itself.
+ * @param {Object<string, string|string[]>} [options.tagRules] - Tags to add when a case-insensitive regular
+ *   expression (the key) matches the title or the text of a message.
+ * @returns {string[]} - The sorted, de-duplicated tags.
+ */
+function generateTags(conversation, nodes, { autoTags = true, tagRules = {} } = {}) {
+  const tags = new Set();
+  const messages = nodes.filter((node) => node?.message?.content);
+  const texts = [];
+  for (const { message } of messages) {
+    const content = message.content;
+    const meta = message.metadata || {};
+    const parts = Array.isArray(content.parts) ? content.parts : [];
+    const text = parts.filter((part) => typeof part === "string").join("\n");
+    if (shouldIncludeMessage({ message })) texts.push(text, content.content_type === "code" ? content.text : "");
+    if (!autoTags) continue;
+
+    // "c++" and "c#" would otherwise both sanitize to "c"
+    const languageTag = (language) => `lang/${language.replace(/\+/g, "p").replace(/#/g, "sharp")}`;
+    if (content.content_type === "code") {
+      tags.add("has/code");
+      if (content.language && content.language !== "unknown") tags.add(languageTag(content.language));
+    }
+    if (/^\s*```/m.test(text)) tags.add("has/code");
+    for (const [, language] of text.matchAll(/^\s*```([\w+#.-]+)/gm)) tags.add(languageTag(language));
+    if (
+      ["tether_browsing_display", "tether_quote", "sonic_webpage"].includes(content.content_type) ||
+      meta.search_result_groups?.length ||
+      /^(browser|web)\b/.test(message.recipient ?? message.author?.name ?? "")
+    ) {
+      tags.add("has/browsing");
+    }
+    if (parts.some((part) => part?.content_type === "image_asset_pointer")) tags.add("has/images");
+    if (
+      ["thoughts", "reasoning_recap"].includes(content.content_type) ||
+      meta.reasoning_status === "is_reasoning"
+    ) {
+      tags.add("has/reasoning");
+    }
+  }
+
+  if (autoTags) {
+    const model = getModelSlug(conversation);
+    if (model) tags.add(`model/${model}`);
+    if (conversation.gizmo_id) tags.add(`gpt/${conversation.gizmo_id}`);
+  }
+
+  const haystack = [conversation.title ?? "", ...texts].join("\n");
+  for (const [pattern, ruleTags] of Object.entries(tagRules)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern, "i");
+    } catch (err) {
+      throw new TypeError(`Invalid tag rule ${JSON.stringify(pattern)}: ${err.message}`);
+    }
+    if (regex.test(haystack)) [].concat(ruleTags).forEach((tag) => tags.add(tag));
+  }
+
+  return [...new Set([...tags].map(sanitizeTag).filter(Boolean))].sort();
+}
+
+/**
+ * Collects the values available as `{placeholders}` in front matter templates.
+ * @param {Object} conversation - The conversation.
+ * @param {Object[]} nodes - The rendered nodes of the active branch.
+ * @param {Object} [tagOptions] - The options passed to generateTags.
+ * @param {string} [timeZone] - The time zone of the dates and times; UTC by default.
+ * @returns {Object} - The placeholder values. Missing values are null.
+ */
+function frontMatterData(conversation, nodes, tagOptions, timeZone) {
+  const conversationId = conversation.conversation_id ?? conversation.id ?? null;
+  const toIso = (seconds) => (seconds ? toIsoString(new Date(seconds * 1000), timeZone) : null);
+  const messages = nodes.filter((node) => shouldIncludeMessage(node));
+  // Conversations adapted from other exports carry their own link, or null
+  const chatgptUrl = conversationId ? `https://chatgpt.com/c/${conversationId}` : null;
+  return {
+    title: conversation.title ?? null,
+    id: conversationId,
+    model: getModelSlug(conversation),
+    gizmo_id: conversation.gizmo_id ?? null,
+    create_time: toIso(conversation.create_time),
+    update_time: toIso(conversation.update_time),
+    create_date: toIso(conversation.create_time)?.slice(0, 10) ?? null,
+    update_date: toIso(conversation.update_time)?.slice(0, 10) ?? null,
+    message_count: messages.length,
+    user_message_count: messages.filter((node) => node.message.author?.role === "user").length,
+    assistant_message_count: messages.filter((node) => node.message.author?.role === "assistant").length,
+    source: "source_url" in conversation ? conversation.source_url : chatgptUrl,
+    tags: generateTags(conversation, nodes, tagOptions),
+  };
+}
+
+/**
+ * Renders the YAML front matter block from a template.
+ * @param {Object|null} template - Field templates keyed by front matter key, or null to omit the front matter.
+ * @param {Object} data - The placeholder values.
+ * @param {Object} [flavor=FLAVORS.obsidian] - The output flavor.
+ * @returns {string} - The front matter block, e.g. including the `---` delimiters.
+ */
+function renderFrontMatter(template, data, flavor = FLAVORS.obsidian) {
+  if (!template) return "";
+  const fill = (value) => {
+    if (typeof value === "function") return value(data);
+    if (typeof value !== "string") return value;
+    // A lone placeholder keeps the value's type (number, list, null) rather than becoming a string
+    const single = value.match(/^\{(\w+)\}$/);
+    if (single && single[1] in data) return data[single[1]];
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in data ? String(data[name] ?? "") : match));
+  };
+  return flavor.frontMatter(Object.entries(template).map(([key, value]) => [key, fill(value)]));
+}
+
+/**
+ * Lists the front matter fields that the user owns: those the template sets to a literal, such as the `favorite` and
+ * `validated` flags, rather than to a value derived from the conversation.
+ * @param {Object|null} template - The front matter template.
+ * @returns {string[]} - The field names.
+ */
+function userFrontMatterFields(template) {
+  return Object.entries(template ?? {})
+    .filter(([, value]) => typeof value !== "function" && !(typeof value === "string" && /\{\w+\}/.test(value)))
+    .map(([key]) => key);
+}
+
+/**
+ * Merges a freshly rendered note into the existing one, so re-exports keep the user's edits. The conversation and the
+ * machine-owned front matter fields are regenerated; user-owned fields and fields the user added keep their values,
+ * generated tags are added to the user's, and everything from the marker line on is kept.
+ * @param {string} existing - The note on disk.
+ * @param {string} generated - The freshly rendered note.
+ * @param {Object} options - The options object.
+ * @param {string[]} options.userFields - The front matter fields whose existing values win.
+ * @param {string|null} options.marker - The line starting the user's section, e.g. "## Notes", or null for none.
+ * @param {Object} options.flavor - The output flavor, which writes the front matter.
+ * @returns {string} - The merged note.
+ * @example
+ * mergeNote("---\nfavorite: true\n---\n\n# Old\n\n## Notes\n\nMine", "---\nfavorite: false\n---\n\n# New\n", {
+ *   userFields: ["favorite"],
+ *   marker: "## Notes",
+ *   flavor: FLAVORS.obsidian,
+ * });
+ * //=> "---\nfavorite: true\n---\n\n# New\n\n## Notes\n\nMine"
+ */
+function mergeNote(existing, generated, { userFields, marker, flavor }) {
+  const previous = parseFrontMatter(existing);
+  const fresh = parseFrontMatter(generated);
+  const fields = Object.entries(fresh.data).map(([key, value]) => {
+    const old = previous.data[key];
+    if (userFields.includes(key) && key in previous.data) return [key, old];
+    if (key === "tags" && Array.isArray(old) && Array.isArray(value)) return [key, [...new Set([...old, ...value])]];
+    return [key, value];
+  });
+  for (const [key, value] of Object.entries(previous.data)) {
+    if (!(key in fresh.data)) fields.push([key, value]);
+  }
+
+  let body = fresh.body.replace(/^\r?\n/, "");
+  if (marker) {
+    // Messages may contain the marker line too. Conversations grow at the end, so the old note's generated part is
+    // mostly shared with the new one and the user's section starts at the first marker past it, or else at the last
+    // marker within it when the note goes on after it (the new messages may have added the marker at the same line).
+    const isMarker = (line) => line.trim() === marker.trim();
+    const lines = previous.body.replace(/^\r?\n/, "").split("\n");
+    const freshLines = body.split("\n");
+    let shared = 0;
+    while (shared < lines.length && lines[shared] === freshLines[shared]) shared++;
+    const markers = lines.flatMap((line, index) => (isMarker(line) ? [index] : []));
+    const hasMore = lines.slice(shared).some((line) => line.trim());
+    const start = markers.find((index) => index >= shared) ?? (hasMore ? markers.at(-1) : undefined);
+    if (start !== undefined) body = `${body.trimEnd()}\n\n${lines.slice(start).join("\n")}`;
+  }
+  return fields.length ? `${flavor.frontMatter(fields)}\n\n${body}` : body;
+}
+
+/**
+ * Renders a conversation as a markdown note.
+ * @param {Object} conversation - The conversation to render.
+ * @param {string} noteName - The note's "/"-separated path without extension, used to link branch notes to it.
+ * @param {Object} options - The options passed to chatgptToMarkdown.
+ * @returns {Object} - The note's `content`, any branch notes as `extraNotes` ({name, content}), the export files it
+ *   embeds as `attachments` mapped to their attachment file names, the front matter `data`, whether no message was
+ *   rendered (`empty`), and the number of rendered messages per content type (`contentTypes`) with the types that
+ *   have no renderer (`unknownContentTypes`).
+ */
+function conversationToMarkdown(
+  conversation,
+  noteName,
+  {
+    dateFormat,
+    branches,
+    assets,
+    frontMatter,
+    autoTags,
+    tagRules,
+    renderers,
+    onWarning,
+    citations,
+    messageTimestamps,
+    blockIds,
+    roleStyle,
+    roleLabels,
+    roleCallouts,
+    gizmoNames,
+    timeZone,
+    t,
+    flavor,
+    attachmentsDir,
+  },
+) {
+  const title = `# ${wrapHtmlTagsInBackticks(conversation.title ?? "")}\n`;
+
+  // Follow the active branch; alternate branches are attached to the node they fork from
+  const orderedIds = getOrderedNodeIds(conversation);
+  const forks = branches === "none" ? new Map() : getAlternateBranches(conversation, orderedIds);
+  const nodesOf = (ids) => ids.map((id) => conversation.mapping[id]);
+
+  const data = frontMatterData(conversation, nodesOf(orderedIds), { autoTags, tagRules }, timeZone);
+  const output = FLAVORS[flavor ?? "obsidian"];
+  const metadata = renderFrontMatter(frontMatter, data, output);
+  const forkNodes = new Map([...forks].map(([id, alternates]) => [conversation.mapping[id], alternates]));
+
+  const warnings = new Set();
+  const ctx = {
+    conversation,
+    assets,
+    renderers,
+    citations,
+    dateFormat,
+    messageTimestamps,
+    blockIds,
+    roleStyle,
+    roleLabels,
+    roleCallouts,
+    gizmoNames,
+    t,
+    flavor: output,
+    noteName,
+    attachmentsDir,
+    sources: new Map(),
+    attachments: new Map(),
+    contentTypes: {},
+    unknownContentTypes: new Set(),
+    // Each warning is given once per conversation
+    warn: (message) => {
+      if (warnings.has(message)) return;
+      warnings.add(message);
+      onWarning?.(message);
+    },
+  };
+  const extraNotes = [];
+  const renderBranches = (node) =>
+    (forkNodes.get(node) || [])
+      .map(({ index, total, ids }) => {
+        // A branch note lists the sources it cites itself
+        const branchCtx = branches === "notes" ? { ...ctx, sources: new Map() } : ctx;
+        const rendered = renderMessages(nodesOf(ids), branchCtx).trim();
+        if (!rendered) return "";
+        const label = ctx.t("alternateBranch", { index, total });
+        if (branches === "callout") return `> [!note]- ${label}\n${blockquote(rendered)}\n\n`;
+        const sources = renderSources(branchCtx.sources, ctx.t);
+        const branchName = `${noteName} (branch ${extraNotes.length + 1})`;
+        const forkedFrom = ctx.t("forkedFrom", { label, link: output.link(noteName, branchName) });
+        const body = [forkedFrom, rendered, sources.trimEnd()].filter(Boolean);
+        const branchTitle = `${title.trimEnd()} (branch ${extraNotes.length + 1})\n`;
+        extraNotes.push({
+          name: branchName,
+          content: output.convert(`${branchTitle}\n${body.join("\n\n")}\n`),
+        });
+        return `> [!note] ${label}: ${output.link(branchName, noteName)}\n\n`;
+      })
+      .join("");
+
+  const canvases = replayCanvases(nodesOf(orderedIds), noteName, ctx.warn);
+  ctx.canvases = canvases.operations;
+  const messages = renderMessages(nodesOf(orderedIds), ctx, renderBranches);
+  extraNotes.push(...canvases.notes.map((note) => ({ ...note, content: output.convert(note.content) })));
+  const sources = renderSources(ctx.sources, ctx.t);
+  const body = output.convert(`${title}\n\n${messages}${sources}`);
+  const content = `${metadata ? `${metadata}\n\n` : ""}${body}`;
+  return {
+    content,
+    extraNotes,
+    attachments: ctx.attachments,
+    data,
+    empty: !messages.trim(),
+    contentTypes: ctx.contentTypes,
+    unknownContentTypes: ctx.unknownContentTypes,
+  };
+}
+
+/**
+ * Renders the index note (Map of Content) listing every exported conversation, newest month first.
+ * @param {Object[]} entries - The conversations, as stored in the sync manifest: path, title, create_time, model,
+ *   message_count and gizmo_id.
+ * @param {Object} options - The options object.
+ * @param {string} options.name - The index note's "/"-separated path without extension, which links start from.
+ * @param {string} options.title - The index note's heading.
+ * @param {boolean} [options.groupByGizmo=false] - Whether to group by custom GPT / project before grouping by month.
+ * @param {"list"|"dataview"} [options.format="list"] - "dataview" writes the details as Dataview inline fields.
+ * @param {Function} options.dateFormat - The function to format dates with.
+ * @param {string} [options.timeZone] - The time zone of the months and Dataview dates; UTC by default.
+ * @param {Function} [options.t] - The label lookup returned by createTranslator.
+ * @param {Object} [options.flavor=FLAVORS.obsidian] - The output flavor.
+ * @returns {string} - The index note.
+ */
+function renderIndex(
+  entries,
+  {
+    name,
+    title,
+    groupByGizmo = false,
+    format = "list",
+    dateFormat,
+    timeZone,
+    t = translateEnglish,
+    flavor = FLAVORS.obsidian,
+  },
+) {
+  const sorted = [...entries].sort((a, b) => (b.create_time ?? 0) - (a.create_time ?? 0));
+  const line = (entry) => {
+    const link = flavor.link(entry.path.replace(/\.md$/, ""), name);
+    const created = entry.create_time ? new Date(entry.create_time * 1000) : null;
+    if (format === "dataview") {
+      const fields = {
+        created: created && toIsoString(created, timeZone).slice(0, 10),
+        model: entry.model,
+        messages: entry.message_count,
+        gizmo: entry.gizmo_id,
+      };
+      const inline = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ` [${key}:: ${value}]`)
+        .join("");
+      return `- ${link}${inline}\n`;
+    }
+    const count = entry.message_count;
+    const details = [
+      created ? dateFormat(created) : null,
+      entry.model,
+      count !== undefined ? t("messages", { count }) : null,
+    ].filter((detail) => detail !== null && detail !== undefined);
+    return `- ${link}${details.length ? ` · ${details.join(" · ")}` : ""}\n`;
+  };
+  const groupBy = (items, keyOf) => {
+    const groups = new Map();
+    for (const item of items) groups.set(keyOf(item), [...(groups.get(keyOf(item)) ?? []), item]);
+    return groups;
+  };
+  const month = (entry) =>
+    entry.create_time ? toIsoString(new Date(entry.create_time * 1000), timeZone).slice(0, 7) : t("undated");
+  const byMonth = (items, level) =>
+    [...groupBy(items, month)].map(([key, group]) => `${level} ${key}\n\n${group.map(line).join("")}\n`).join("");
+
+  const noGizmo = t("noCustomGpt");
+  const body = groupByGizmo
+    ? [...groupBy(sorted, (entry) => entry.gizmo_id || noGizmo)]
+        .sort(([a], [b]) => (a === noGizmo) - (b === noGizmo) || a.localeCompare(b))
+        .map(([gizmo, group]) => `## ${gizmo}\n\n${byMonth(group, "###")}`)
+        .join("")
+    : byMonth(sorted, "##");
+  return flavor.convert(`# ${title}\n\n${body}`);
+}
+
+/**
+ * Parses a date given as a Date, an ISO string or a timestamp in milliseconds.
+ * @param {Date|string|number} value - The date to parse.
+ * @param {boolean} [endOfDay=false] - Whether a date without a time ("2024-05-31") means the end of that day.
+ * @returns {number} - The date in seconds since the epoch, like ChatGPT's timestamps.
+ */
+function toSeconds(value, endOfDay = false) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new TypeError(`Invalid date: ${value}`);
+  const dateOnly = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return (time + (endOfDay && dateOnly ? 86400000 - 1 : 0)) / 1000;
+}
+
+/**
+ * Creates a predicate that selects conversations, for the `filter` option of chatgptToMarkdown.
+ * All given criteria must match.
+ * @param {Object} [criteria] - The selection criteria.
+ * @param {Date|string|number} [criteria.since] - Earliest date (inclusive).
+ * @param {Date|string|number} [criteria.until] - Latest date (inclusive; a date without a time means the whole day).
+ * @param {"create_time"|"update_time"} [criteria.dateField="update_time"] - Which date `since` and `until` apply to.
+ * @param {string|RegExp} [criteria.title] - Case-insensitive pattern the title must match.
+ * @param {string[]} [criteria.ids] - Conversation ids to select.
+ * @param {string[]} [criteria.models] - Model slugs, at least one of which must have been used.
+ * @param {string[]} [criteria.gizmos] - Custom GPT / project (gizmo) ids to select.
+ * @param {"include"|"exclude"|"only"} [criteria.archived="include"] - What to do with archived conversations.
+ * @returns {Function} - Takes a conversation and returns whether to convert it.
+ * @example
+ * await chatgptToMarkdown(json, "./output", { filter: createFilter({ since: "2024-05-01", models: ["gpt-4o"] }) });
+ */
+export function createFilter({
+  since,
+  until,
+  dateField = "update_time",
+  title,
+  ids,
+  models,
+  gizmos,
+  archived = "include",
+} = {}) {
+  if (!["create_time", "update_time"].includes(dateField)) throw new TypeError(`Unknown date field: ${dateField}`);
+  if (!["include", "exclude", "only"].includes(archived)) throw new TypeError(`Unknown archived option: ${archived}`);
+  const from = since === undefined ? -Infinity : toSeconds(since);
+  const to = until === undefined ? Infinity : toSeconds(until, true);
+  const titleRegex = title === undefined ? null : title instanceof RegExp ? title : new RegExp(title, "i");
+  const idSet = ids?.length ? new Set(ids) : null;
+  const modelSet = models?.length ? new Set(models.map((model) => model.toLowerCase())) : null;
+  const gizmoSet = gizmos?.length ? new Set(gizmos) : null;
+
+  return (conversation) => {
+    const time = conversation[dateField] ?? 0;
+    if (time < from || time > to) return false;
+    if (titleRegex && !titleRegex.test(conversation.title ?? "")) return false;
+    if (idSet && !idSet.has(conversation.conversation_id ?? conversation.id)) return false;
+    if (gizmoSet && !gizmoSet.has(conversation.gizmo_id)) return false;
+    if (archived === "exclude" && conversation.is_archived) return false;
+    if (archived === "only" && !conversation.is_archived) return false;
+    if (modelSet) {
+      const used = Object.values(conversation.mapping ?? {}).map((n) => n?.message?.metadata?.model_slug);
+      if (!used.some((slug) => slug && modelSet.has(slug.toLowerCase()))) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Checks whether a file exists.
+ * @param {string} filePath - The path to check.
+ * @returns {Promise<boolean>} - Whether the file exists.
+ */
+async function exists(filePath) {
+  return fs.access(filePath).then(
+    () => true,
+    () => false,
+  );
+}
+
+/** Name of the sync manifest stored in the output directory. */
+export const MANIFEST_FILE = ".chatgpt-to-markdown.json";
+
+/**
+ * Reads the sync manifest from a directory.
+ * @param {string} sourceDir - The output directory.
+ * @returns {Promise<Object>} - The manifest, keyed by conversation id under `conversations`.
+ */
+async function readManifest(sourceDir) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(sourceDir, MANIFEST_FILE), "utf8"));
+    return { version: 1, conversations: {}, ...manifest };
+  } catch (err) {
+    if (err.code === "ENOENT") return { version: 1, conversations: {} };
+    err.message = `Cannot read sync manifest ${MANIFEST_FILE}: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Lists the files below a directory, as "/"-separated paths relative to it. Sub-directories that cannot be read are
+ * skipped.
+ * @param {string} dir - The directory to list.
+ * @param {number} [depth=3] - How many levels of sub-directories to descend into.
+ * @param {Function} [includeDir] - Called with the name of each sub-directory of `dir` (not deeper ones); only those
+ *   for which it returns true are listed.
+ * @returns {Promise<string[]>} - The relative file paths.
+ */
+async function listFiles(dir, depth = 3, includeDir = () => true) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isFile()) files.push(entry.name);
+    else if (entry.isDirectory() && depth > 0 && includeDir(entry.name)) {
+      let nested;
+      try {
+        nested = await listFiles(path.join(dir, entry.name), depth - 1);
+      } catch (err) {
+        if (err.code === "EACCES" || err.code === "EPERM") continue;
+        throw err;
+      }
+      files.push(...nested.map((name) => `${entry.name}/${name}`));
+    }
+  }
+  return files;
+}
+
+/**
+ * Matches the folders of an extracted export that hold its files: DALL·E images, the user's uploads and the
+ * per-conversation folders, named after the conversation id, of voice chats.
+ */
+const EXPORT_FOLDER = /^(dalle-generations|user-[\w-]+|[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12})$/i;
+
+/**
+ * Checks whether a file starts with the zip local file header signature.
+ * @param {string} filePath - The file to check.
+ * @returns {Promise<boolean>} - Whether the file is a zip archive.
+ */
+async function isZipFile(filePath) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Finds the conversations file of an export archive: ChatGPT's or Claude's `conversations.json`, or the Gemini
+ * activity log of a Google Takeout archive.
+ * @param {string[]} entries - The archive's entry paths.
+ * @returns {string|undefined} - The entry path, the top-most if the archive was re-zipped inside a folder.
+ */
+function findConversationsEntry(entries) {
+  const byDepth = (a, b) => a.split("/").length - b.split("/").length;
+  const isGeminiActivity = (name) => /(^|\/)(Gemini Apps|Bard)\/MyActivity\.json$/.test(name);
+  return (
+    entries.filter((name) => name.split("/").pop() === "conversations.json").sort(byDepth)[0] ??
+    entries.filter(isGeminiActivity).sort(byDepth)[0]
+  );
+}
+
+/**
+ * Loads a chat export: the `.zip` archive ChatGPT or Claude sends, a Google Takeout archive with Gemini activity, or
+ * an extracted `conversations.json` or `MyActivity.json`. Claude and Gemini conversations are normalized into the
+ * ChatGPT model, so they convert like ChatGPT's.
+ * Every other file of the export (images, audio, `user.json`, ...) is returned as an asset. For a JSON file, the
+ * files next to it and in the export's folders (`dalle-generations`, ...) are assumed to be the rest of the extracted
+ * export; other folders, such as the rest of a Downloads folder, are not searched.
+ * @param {string} filePath - The path to the export `.zip` or to its JSON file.
+ * @param {Object} [options] - The options object.
+ * @param {boolean} [options.stream=false] - Parse conversations one at a time as they are read instead of loading the
+ *   whole file, for exports too large for memory. `conversations` is then an async iterable, which reads the export
+ *   again each time it is iterated.
+ * @param {string} [options.format="auto"] - The export format: "chatgpt", "claude", "gemini", or "auto" to detect it.
+ * @returns {Promise<{conversations: Object[]|AsyncIterable<Object>, assets: Map<string, Function>}>} - The parsed
+ *   conversations, and the other export files keyed by their "/"-separated path in the export. Each asset is a
+ *   function that resolves to the file's contents as a Buffer.
+ * @example
+ * const { conversations, assets } = await loadExport("./export.zip");
+ * await chatgptToMarkdown(conversations, "./output", { assets });
+ */
+export async function loadExport(filePath, { stream = false, format = "auto" } = {}) {
+  if (await isZipFile(filePath)) {
+    const zip = await openZip(filePath);
+    const jsonEntry = findConversationsEntry(zip.entries);
+    if (!jsonEntry) throw new Error(`No conversations.json found in ${filePath}`);
+    const assets = new Map(
+      zip.entries.filter((name) => name !== jsonEntry).map((name) => [name, () => zip.read(name)]),
+    );
+    const conversations = stream
+      ? rereadable(async function* () {
+          yield* parseJsonArray(await zip.stream(jsonEntry));
+        })
+      : JSON.parse((await zip.read(jsonEntry)).toString("utf8"));
+    return { conversations: adaptConversations(conversations, format), assets };
+  }
+
+  const conversations = stream
+    ? rereadable(() => parseJsonArray(createReadStream(filePath)))
+    : JSON.parse(await fs.readFile(filePath, "utf8"));
+  const dir = path.dirname(filePath);
+  const assets = new Map(
+    (await listFiles(dir, 3, (name) => EXPORT_FOLDER.test(name)))
+      .filter((name) => name !== path.basename(filePath))
+      .map((name) => [name, () => fs.readFile(path.join(dir, name))]),
+  );
+  return { conversations: adaptConversations(conversations, format), assets };
+}
+
+/**
+ * Converts a JSON object to markdown and saves it to a file.
+ * @param {Object[]|AsyncIterable<Object>} json - The conversations to convert: an array, or an async iterable such
+ *   as the streamed conversations of loadExport. Each conversation is converted as it arrives. Notes are named up
+ *   front, so names do not depend on the order of the export; a stream is read twice for this if it is re-readable
+ *   (see rereadable), as loadExport's are, and is otherwise named in the order it arrives.
+ * @param {string} sourceDir - The directory to save the markdown files in.
+ * @param {Object} [options] - The options object.
+ * @param {string} [options.locale="en-US"] - The BCP 47 locale of dates and of the labels written into notes, such as
+ *   the Reasoning and Sources callout titles. English and French labels are built in.
+ * @param {string} [options.timeZone="UTC"] - The IANA time zone, e.g. "Europe/Paris", of front matter dates, message
+ *   times, date placeholders in paths and the index note's months.
+ * @param {Function} [options.dateFormat] - The function to format dates with. Defaults to a short date and time in
+ *   `locale` and `timeZone`.
+ * @param {Object} [options.strings] - Labels replacing the built-in ones of the locale, e.g.
+ *   `{ reasoning: "Thoughts" }`.
+ * @param {"none"|"callout"|"notes"} [options.branches="none"] - How to render alternate branches (regenerated
+ *   replies, edited prompts). By default only the active branch is rendered. "callout" adds each alternate branch as
+ *   a collapsed callout where it forks; "notes" writes it to a separate note linked from that point.
+ * @param {boolean} [options.sync=false] - Incremental mode. Keeps a manifest of converted conversations in
+ *   `sourceDir`, skips conversations whose `update_time` did not change, rewrites changed ones in place and moves
+ *   notes whose title was renamed.
+ * @param {Map<string, Function>} [options.assets] - The other files of the export, as returned by loadExport.
+ *   Images they contain are copied into the attachments folder and embedded.
+ * @param {string} [options.attachmentsDir="attachments"] - Where to copy embedded images, relative to `sourceDir`.
+ * @param {string} [options.pathTemplate="{title}"] - Where to save each note, relative to `sourceDir`, with "/"
+ *   separating folders. Placeholders: {title}, {id}, {year}, {month}, {day}, {date}, {gizmo}, {model}.
+ * @param {Object|null} [options.frontMatter=DEFAULT_FRONT_MATTER] - The front matter template: values are literals,
+ *   strings with placeholders ({title}, {id}, {model}, {gizmo_id}, {create_time}, {update_time}, {create_date},
+ *   {update_date}, {message_count}, {user_message_count}, {assistant_message_count}, {source}, {tags}) or functions
+ *   of those values. Pass null to omit the front matter.
+ * @param {boolean} [options.autoTags=true] - Whether to derive tags from the model, custom GPT, content and code
+ *   languages of each conversation.
+ * @param {Object<string, string|string[]>} [options.tagRules] - Extra tags keyed by a case-insensitive regular
+ *   expression matched against the title and messages, e.g. `{ "\\bdocker\\b": "devops" }`.
+ * @param {Function} [options.filter] - Only converts conversations for which this returns true. See createFilter.
+ * @param {boolean|Object} [options.index=false] - Also writes an index note linking every conversation, grouped by
+ *   month. In sync mode it lists every synced conversation, including those skipped in this run.
+ * @param {string} [options.index.name="ChatGPT Index"] - The index note's name, relative to `sourceDir`.
+ * @param {boolean} [options.index.groupByGizmo=false] - Group by custom GPT / project, then by month.
+ * @param {"list"|"dataview"} [options.index.format="list"] - "dataview" lists the details as Dataview inline fields.
+ * @param {Object<string, Function>} [options.renderers] - Renderers for this run keyed by content type, taking
+ *   precedence over those registered with registerRenderer. See registerRenderer for their signature.
+ * @param {"inline"|"footnotes"} [options.citations="inline"] - How to render the sources of web answers: "inline"
+ *   links after each message, or "footnotes" (`[^n]`) numbered per conversation, with every source listed once in
+ *   a Sources section at the end of the note.
+ * @param {boolean} [options.messageTimestamps=false] - Adds each message's creation time, formatted with
+ *   `dateFormat`, to its heading.
+ * @param {boolean} [options.blockIds=false] - Adds an Obsidian block id derived from the message id (`^msg-<id>`) to
+ *   each message, so `[[Note#^msg-<id>]]` links to it stay stable across re-exports.
+ * @param {"indented"|"heading"|"callout"|"bubble"} [options.roleStyle="indented"] - How to set messages apart:
+ *   "indented" gives each a heading and indents the user's, "heading" only gives each a heading, "callout" puts each
+ *   in a callout of its role's type and "bubble" quotes the user's messages under a bold label.
+ * @param {Object<string, string|Function>} [options.roleLabels] - Labels keyed by author role, e.g.
+ *   `{ user: "Me", assistant: "{gizmo}" }`. Placeholders: {role}, {name}, {gizmo}. Functions receive those values.
+ * @param {Object<string, string>} [options.roleCallouts] - Callout types keyed by author role for the "callout"
+ *   style. Defaults to question for user, note for assistant and info for system messages.
+ * @param {Object<string, string>} [options.gizmoNames] - Custom GPT / project names keyed by gizmo id, for the
+ *   {gizmo} placeholder. The id is used for gizmos without a name.
+ * @param {Function} [options.onWarning=console.warn] - Called with a message for problems that do not stop the
+ *   conversion, such as content types without a renderer, which are rendered as text plus a JSON callout.
+ * @param {"obsidian"|"commonmark"|"logseq"} [options.flavor="obsidian"] - The Markdown dialect to write:
+ *   "obsidian" (callouts, wikilinks and embeds), "commonmark" (GitHub Flavored Markdown with `<details>` for collapsed
+ *   callouts, blockquotes for the others and relative links) or "logseq" (an outline of bulleted blocks with page
+ *   properties instead of front matter).
+ * @param {boolean|Object} [options.merge=false] - Merges re-exported conversations into their existing notes instead
+ *   of overwriting them, keeping the user's edits: front matter fields the template sets to a literal (the
+ *   `completed`, `validated` and `favorite` flags, ...), fields added by hand, the user's tags alongside the generated
+ *   ones, and everything from the marker line on. Notes are matched by their `conversation_id` and keep their paths,
+ *   so a conversation never merges into or overwrites another one's note. Not supported by the logseq flavor.
+ * @param {string|null} [options.merge.marker="## Notes"] - The line starting the user's own section of a note.
+ * @param {string[]} [options.merge.userFields] - The template fields whose existing values are kept, instead of its
+ *   literal ones.
+ * @param {boolean} [options.skipEmpty=false] - Don't write notes for conversations without any rendered message.
+ * @param {boolean} [options.dryRun=false] - Converts everything but writes, moves and removes nothing, so the
+ *   returned report shows what a run would do.
+ * @returns {Promise<Object>} - The conversion report: the note and index paths `created`, `overwritten`, `removed`
+ *   and `unchanged` (skipped by sync), the notes `merged` with the user's edits, the new `attachments`, the
+ *   `collisions` ({id, title, path, wanted}) where a note could not take the path its template gives, the `empty`
+ *   conversations ({id, title, path}), the number of rendered messages per content type in `contentTypes` and, for
+ *   types without a renderer, `unknownContentTypes`, and the `warnings` given. Paths are "/"-separated and relative
+ *   to `sourceDir`.
+ * @example
+ * const json = [ ... ];
+ * await convertToMarkdown(json, "./output");
+ * //=> Creates a markdown file for each conversation in the output directory
+ */
+async function chatgptToMarkdown(json, sourceDir, options = {}) {
+  const {
+    locale,
+    timeZone,
+    dateFormat = createDateFormat(locale, timeZone),
+    strings = {},
+    branches = "none",
+    sync = false,
+    assets = new Map(),
+    attachmentsDir = "attachments",
+    pathTemplate = "{title}",
+    frontMatter = DEFAULT_FRONT_MATTER,
+    autoTags = true,
+    tagRules = {},
+    filter = () => true,
+    index = false,
+    skipEmpty = false,
+    dryRun = false,
+    renderers = {},
+    onWarning = console.warn,
+    citations = "inline",
+    messageTimestamps = false,
+    blockIds = false,
+    roleStyle = "indented",
+    roleLabels = {},
+    roleCallouts = {},
+    gizmoNames = {},
+    flavor = "obsidian",
+    merge = false,
+  } = options;
+  if (!Array.isArray(json) && typeof json?.[Symbol.asyncIterator] !== "function") {
+    throw new TypeError("The first argument must be an array or an async iterable.");
+  }
+  if (typeof sourceDir !== "string") {
+    throw new TypeError("The second argument must be a string.");
+  }
+  if (!["none", "callout", "notes"].includes(branches)) {
+    throw new TypeError(`Unknown branches option: ${branches}`);
+  }
+  if (!["indented", "heading", "callout", "bubble"].includes(roleStyle)) {
+    throw new TypeError(`Unknown roleStyle option: ${roleStyle}`);
+  }
+  if (!["inline", "footnotes"].includes(citations)) {
+    throw new TypeError(`Unknown citations option: ${citations}`);
+  }
+  if (!Object.hasOwn(FLAVORS, flavor)) {
+    throw new TypeError(`Unknown flavor option: ${flavor}`);
+  }
+  if (merge && flavor === "logseq") {
+    throw new TypeError("The merge option does not support the logseq flavor.");
+  }
+  if (typeof filter !== "function") {
+    throw new TypeError("The filter option must be a function.");
+  }
+  for (const [contentType, render] of Object.entries(renderers)) {
+    if (typeof render !== "function") throw new TypeError(`The renderer for ${contentType} must be a function.`);
+  }
+
+  const manifest = sync ? await readManifest(sourceDir) : null;
+  const report = {
+    dryRun,
+    created: [],
+    overwritten: [],
+    removed: [],
+    unchanged: [],
+    merged: [],
+    attachments: [],
+    collisions: [],
+    empty: [],
+    contentTypes: {},
+    unknownContentTypes: {},
+    warnings: [],
+  };
+
+  // Paths written in this run, which a conversation moving away from them must not remove
+  const written = new Set();
+
+  /**
+   * Writes a file inside `sourceDir` and records it in the report. Nothing is written in a dry run.
+   * @param {string} fileName - The "/"-separated path relative to `sourceDir`.
+   * @param {string} content - The file contents.
+   * @param {Object} [conversation] - The conversation whose creation and update times the file should get.
+   */
+  const writeNote = async (fileName, content, conversation) => {
+    const filePath = path.join(sourceDir, fileName);
+    written.add(fileName.toLowerCase());
+    report[(await exists(filePath)) ? "overwritten" : "created"].push(fileName);
+    if (dryRun) return;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, "utf8");
+    if (conversation) await fs.utimes(filePath, conversation.create_time, conversation.update_time);
+  };
+
+  /**
+   * Removes a file inside `sourceDir`, if it exists and was not written in this run, e.g. by a conversation that took
+   * over the path, and records it in the report. Nothing is removed in a dry run.
+   * @param {string} fileName - The "/"-separated path relative to `sourceDir`.
+   */
+  const removeNote = async (fileName) => {
+    const filePath = path.join(sourceDir, fileName);
+    if (written.has(fileName.toLowerCase()) || !(await exists(filePath))) return;
+    report.removed.push(fileName);
+    if (!dryRun) await fs.rm(filePath, { force: true });
+  };
+
+  // Notes of previously synced conversations keep their names while their path template renders the same, so only
+  // new and renamed conversations are named afresh. A batch is named up front, oldest first, so they may take over
+  // freed paths; only streams that cannot be read twice are named as they arrive.
+  const batch = await readNamingBatch(json, filter);
+  const conversations = Array.isArray(json) ? batch : json;
+  const keptPath = (conversation) => {
+    const entry = manifest?.conversations[conversation.conversation_id ?? conversation.id];
+    const name = entry?.path.replace(/\.md$/, "");
+    const wanted = name && renderPathTemplate(pathTemplate, conversation, timeZone);
+    // The path is the wanted one, or it with the suffix createNoteNamer adds on collisions
+    const suffix = /^(?: \(\d{4}-\d{2}-\d{2}(?: [^)]+)?\)(?: \d+)?)?$/;
+    const fits = name?.startsWith(wanted) && suffix.test(name.slice(wanted.length));
+    return fits ? name : undefined;
+  };
+  const renamedIds = new Set((batch ?? []).filter((c) => !keptPath(c)).map((c) => c.conversation_id ?? c.id));
+  const reserved = new Map(
+    Object.entries(manifest?.conversations ?? {})
+      .filter(([id]) => !renamedIds.has(id))
+      .map(([id, entry]) => [entry.path.replace(/\.md$/, ""), id]),
+  );
+  const indexOptions = index && { name: "ChatGPT Index", ...(index === true ? {} : index) };
+  const mergeOptions = merge && {
+    marker: "## Notes",
+    userFields: userFrontMatterFields(frontMatter),
+    ...(merge === true ? {} : merge),
+    flavor: FLAVORS[flavor],
+  };
+  // Merged notes keep their paths, so a conversation never takes over a note holding another one's edits
+  const existingNotes = mergeOptions && (await exists(sourceDir)) ? await readNotesFrontMatter(sourceDir) : new Map();
+  for (const [id, note] of existingNotes) reserved.set(note.fileName.replace(/\.md$/, ""), id);
+  // The index note must not be overwritten by a conversation with the same title
+  if (indexOptions) reserved.set(indexOptions.name, "");
+  const newNameOf = createNoteNamer(reserved, pathTemplate, timeZone);
+  const nameOf = (conversation) => keptPath(conversation) ?? newNameOf(conversation);
+  const t = createTranslator(locale, strings);
+  const indexEntries = [];
+  const noteNameOf = createBatchNamer(batch, nameOf);
+
+  for await (const conversation of conversations) {
+    if (!Array.isArray(json) && !filter(conversation)) continue;
+    const conversationId = conversation.conversation_id ?? conversation.id;
+    const noteName = noteNameOf(conversation);
+    const fileName = `${noteName}.md`;
+    const filePath = path.join(sourceDir, fileName);
+    const wanted = renderPathTemplate(pathTemplate, conversation, timeZone);
+    if (noteName !== wanted) {
+      report.collisions.push({ id: conversationId, title: conversation.title, path: fileName, wanted: `${wanted}.md` });
+    }
+
+    const previous = manifest && conversationId ? manifest.conversations[conversationId] : undefined;
+    const unchanged = previous?.update_time === conversation.update_time && previous?.path === fileName;
+    if (unchanged && (await exists(filePath))) {
+      report.unchanged.push(fileName);
+      continue;
+    }
+
+    const rendered = conversationToMarkdown(conversation, noteName, {
+      dateFormat,
+      branches,
+      assets,
+      frontMatter,
+      autoTags,
+      tagRules,
+      renderers,
+      citations,
+      messageTimestamps,
+      blockIds,
+      roleStyle,
+      roleLabels,
+      roleCallouts,
+      gizmoNames,
+      timeZone,
+      t,
+      flavor,
+      attachmentsDir,
+      onWarning: (message) => {
+        report.warnings.push(message);
+        onWarning?.(message);
+      },
+    });
+    const { content, extraNotes, attachments, data } = rendered;
+    for (const [type, count] of Object.entries(rendered.contentTypes)) {
+      report.contentTypes[type] = (report.contentTypes[type] ?? 0) + count;
+      if (rendered.unknownContentTypes.has(type)) {
+        report.unknownContentTypes[type] = (report.unknownContentTypes[type] ?? 0) + count;
+      }
+    }
+    if (rendered.empty) {
+      report.empty.push({ id: conversationId, title: conversation.title, path: fileName });
+      if (skipEmpty) continue;
+    }
+
+    let noteContent = content;
+    let mergedFrom;
+    if (mergeOptions) {
+      // The existing note may still be at its old path, e.g. after the title was renamed
+      for (const existingName of [fileName, previous?.path, existingNotes.get(String(conversationId))?.fileName]) {
+        const existingPath = existingName && path.join(sourceDir, existingName);
+        if (!existingPath || !(await exists(existingPath))) continue;
+        const existing = await fs.readFile(existingPath, "utf8");
+        // Only a note of the same conversation is merged; one without a conversation_id cannot be told apart
+        const existingId = parseFrontMatter(existing).data.conversation_id;
+        if (existingId !== undefined && String(existingId) !== String(conversationId)) continue;
+        noteContent = mergeNote(existing, content, mergeOptions);
+        report.merged.push(fileName);
+        mergedFrom = existingName;
+        break;
+      }
+    }
+
+    const notes = [{ fileName, content: noteContent }].concat(
+      extraNotes.map((note) => ({ ...note, fileName: `${note.name}.md` })),
+    );
+    for (const note of notes) await writeNote(note.fileName, note.content, conversation);
+    // The note was merged into its new path, so the old one is moved rather than left behind (sync removes its own)
+    if (mergedFrom && mergedFrom !== fileName && mergedFrom !== previous?.path) await removeNote(mergedFrom);
+    for (const [asset, attachmentName] of attachments) {
+      const attachmentPath = path.join(sourceDir, attachmentsDir, attachmentName);
+      // Attachment names start with the export's unique file id, so an existing file is the same image
+      if (await exists(attachmentPath)) continue;
+      report.attachments.push(`${attachmentsDir}/${attachmentName}`);
+      if (dryRun) continue;
+      await fs.mkdir(path.dirname(attachmentPath), { recursive: true });
+      await fs.writeFile(attachmentPath, await assets.get(asset)());
+    }
+
+    const entry = {
+      update_time: conversation.update_time,
+      path: fileName,
+      title: conversation.title,
+      create_time: conversation.create_time,
+      model: data.model ?? undefined,
+      message_count: data.message_count,
+      gizmo_id: conversation.gizmo_id ?? undefined,
+    };
+    indexEntries.push(entry);
+
+    if (manifest && conversationId) {
+      // The title was renamed: drop the note at the old path so it is effectively moved
+      if (previous && previous.path !== fileName) await removeNote(previous.path);
+      const extraPaths = notes.slice(1).map((note) => note.fileName);
+      // Remove branch notes that the previous version produced but this one no longer does
+      for (const stale of previous?.extra_paths ?? []) {
+        if (!extraPaths.includes(stale)) await removeNote(stale);
+      }
+      manifest.conversations[conversationId] = { ...entry, ...(extraPaths.length ? { extra_paths: extraPaths } : {}) };
+    }
+  }
+
+  if (manifest && !dryRun) {
+    await fs.writeFile(path.join(sourceDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + "\n", "utf8");
+  }
+
+  if (indexOptions) {
+    const entries = manifest ? Object.values(manifest.conversations) : indexEntries;
+    const title = indexOptions.name.split("/").pop();
+    const content = renderIndex(entries, {
+      ...indexOptions,
+      title,
+      dateFormat,
+      timeZone,
+      t,
+      flavor: FLAVORS[flavor],
+    });
+    await writeNote(`${indexOptions.name}.md`, content);
+  }
+
+  return report;
+}
+
+/**
+ * The callout types that chatgptToHtml gives each role's messages, which its style sheet turns into chat bubbles.
+ */
+const HTML_ROLE_CALLOUTS = { user: "user", assistant: "assistant", system: "system" };
+
+/**
+ * Converts ChatGPT conversations into a static HTML site: a page per conversation with chat bubbles, foldable
+ * reasoning and highlighted code, and an index page, newest first, with a search over titles and messages. The site
+ * needs no server and no network, so it can be shared as a folder or opened from `file://` URLs.
+ * @param {Array|AsyncIterable} json - The conversations, as for chatgptToMarkdown.
+ * @param {string} outputDir - The directory to write the site into. It gets `index.html`, `search-index.js`,
+ *   `style.css`, one page per conversation and the attachments folder.
+ * @param {Object} [options] - The options object. Apart from `title`, these work as for chatgptToMarkdown.
+ * @param {string} [options.title] - The index page's title; "ChatGPT Archive" in the locale's language by default.
+ * @param {string} [options.locale] - The locale of dates and labels.
+ * @param {string} [options.timeZone] - The time zone of dates.
+ * @param {Function} [options.dateFormat] - The function to format dates with.
+ * @param {Object<string, string>} [options.strings] - Labels replacing the built-in ones.
+ * @param {"none"|"callout"|"notes"} [options.branches="none"] - How to render alternate branches.
+ * @param {Map<string, Function>} [options.assets] - The export's other files, whose images are copied.
+ * @param {string} [options.attachmentsDir="attachments"] - The folder to copy images into.
+ * @param {Function} [options.filter] - Only converts conversations for which this returns true.
+ * @param {Object<string, Function>} [options.renderers] - Renderers for this run keyed by content type.
+ * @param {"inline"|"footnotes"} [options.citations="inline"] - How to render the sources of web answers.
+ * @param {boolean} [options.messageTimestamps=false] - Adds each message's creation time to its bubble.
+ * @param {Object<string, string|Function>} [options.roleLabels] - Labels keyed by author role.
+ * @param {Object<string, string>} [options.gizmoNames] - Custom GPT / project names keyed by gizmo id.
+ * @param {Function} [options.onWarning=console.warn] - Called with a message for problems that do not stop the
+ *   conversion.
+ * @returns {Promise<Object>} - The pages and files `created` and `overwritten`, the `attachments` copied and the
+ *   `warnings` given, with "/"-separated paths relative to `outputDir`.
+ * @example
+ * const { conversations, assets } = await loadExport("export.zip");
+ * await chatgptToHtml(conversations, "./site", { assets });
+ */
+export async function chatgptToHtml(json, outputDir, options = {}) {
+  const {
+    locale,
+    timeZone,
+    dateFormat = createDateFormat(locale, timeZone),
+    strings = {},
+    branches = "none",
+    assets = new Map(),
+    attachmentsDir = "attachments",
+    filter = () => true,
+    renderers = {},
+    citations = "inline",
+    messageTimestamps = false,
+    roleLabels = {},
+    gizmoNames = {},
+    onWarning = console.warn,
+  } = options;
+  if (!Array.isArray(json) && typeof json?.[Symbol.asyncIterator] !== "function") {
+    throw new TypeError("The first argument must be an array or an async iterable.");
+  }
+  if (typeof outputDir !== "string") {
+    throw new TypeError("The second argument must be a string.");
+  }
+  if (!["none", "callout", "notes"].includes(branches)) {
+    throw new TypeError(`Unknown branches option: ${branches}`);
+  }
+  if (!["inline", "footnotes"].includes(citations)) {
+    throw new TypeError(`Unknown citations option: ${citations}`);
+  }
+
+  const t = createTranslator(locale, strings);
+  const lang = new Intl.Locale(locale ?? "en-US").language;
+  const title = options.title ?? t("archive");
+  const report = { created: [], overwritten: [], attachments: [], warnings: [] };
+  const writeFile = async (fileName, content) => {
+    const filePath = path.join(outputDir, fileName);
+    report[(await exists(filePath)) ? "overwritten" : "created"].push(fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  };
+  const links = {
+    pageHref: (notePath) => `${encodeURIComponent(notePath)}.html`,
+    attachmentHref: (fileName) => `${encodeURIComponent(attachmentsDir)}/${encodeURIComponent(fileName)}`,
+  };
+
+  // Pages are named like notes, next to the files every site has
+  const nameOf = createNoteNamer(new Map(["index", "search-index", "style"].map((name) => [name, ""])), "{title}");
+  const pageNameOf = createBatchNamer(await readNamingBatch(json, filter), nameOf);
+  const indexEntries = [];
+  const searchEntries = [];
+  for await (const conversation of json) {
+    if (!filter(conversation)) continue;
+    const name = pageNameOf(conversation);
+    const rendered = conversationToMarkdown(conversation, name, {
+      dateFormat,
+      branches,
+      assets,
+      frontMatter: null,
+      renderers,
+      citations,
+      messageTimestamps,
+      roleStyle: "callout",
+      roleLabels,
+      roleCallouts: HTML_ROLE_CALLOUTS,
+      gizmoNames,
+      timeZone,
+      t,
+      attachmentsDir,
+      onWarning: (message) => {
+        report.warnings.push(message);
+        onWarning?.(message);
+      },
+    });
+    const { data } = rendered;
+    const created = conversation.create_time ? new Date(conversation.create_time * 1000) : null;
+    const details = [
+      created ? dateFormat(created) : null,
+      data.model,
+      t("messages", { count: data.message_count }),
+    ].filter(Boolean);
+    const nav =
+      `<a href="index.html">← ${escapeHtml(title)}</a>` +
+      `<span class="meta">${escapeHtml(details.join(" · "))}</span>`;
+    const notes = [{ name, content: rendered.content }, ...rendered.extraNotes];
+    for (const note of notes) {
+      const body = markdownToHtml(note.content, links);
+      const heading = note.content.match(/^# (.*)$/m);
+      const pageTitle = heading ? markdownToText(heading[1]) : note.name;
+      await writeFile(`${note.name}.html`, renderPage({ title: pageTitle, body, nav, lang }));
+    }
+    for (const [asset, attachmentName] of rendered.attachments) {
+      const attachmentPath = path.join(outputDir, attachmentsDir, attachmentName);
+      if (await exists(attachmentPath)) continue;
+      report.attachments.push(`${attachmentsDir}/${attachmentName}`);
+      await fs.mkdir(path.dirname(attachmentPath), { recursive: true });
+      await fs.writeFile(attachmentPath, await assets.get(asset)());
+    }
+
+    const url = links.pageHref(name);
+    indexEntries.push({
+      title: conversation.title,
+      url,
+      create_time: conversation.create_time ?? 0,
+      month: created ? toIsoString(created, timeZone).slice(0, 7) : t("undated"),
+      details: details.join(" · "),
+    });
+    searchEntries.push({ title: conversation.title, url, text: markdownToText(rendered.content) });
+  }
+
+  indexEntries.sort((a, b) => b.create_time - a.create_time);
+  await writeFile("index.html", renderIndexPage(indexEntries, { title, lang, t }));
+  // A script rather than JSON, since pages opened from file:// may not fetch files
+  await writeFile("search-index.js", `window.SEARCH_INDEX = ${JSON.stringify(searchEntries)};\n`);
+  await writeFile("style.css", STYLESHEET);
+  return report;
+}
+
+/**
+ * Reads the front matter of the notes below a directory, e.g. to find the conversations marked as favorite.
+ * @param {string} notesDir - The directory notes were written to.
+ * @returns {Promise<Map<string, Object>>} - The "/"-separated `fileName` and the front matter fields (`data`) of each
+ *   note with a `conversation_id`, keyed by that id.
+ */
+async function readNotesFrontMatter(notesDir) {
+  const notes = new Map();
+  for (const fileName of await listFiles(notesDir, 5)) {
+    if (!fileName.endsWith(".md")) continue;
+    const { data } = parseFrontMatter(await fs.readFile(path.join(notesDir, fileName), "utf8"));
+    if (data.conversation_id) notes.set(String(data.conversation_id), { fileName, data });
+  }
+  return notes;
+}
+
+/**
+ * Turns a ChatGPT tool name, such as "dalle.text2im", into a valid OpenAI function name.
+ * @param {string} [name] - The tool name.
+ * @returns {string} - The function name: letters, digits, "_" and "-", at most 64 characters.
+ */
+function toolFunctionName(name) {
+  return (name ?? "").replace(/[^A-Za-z0-9_-]+/g, "_").slice(0, 64) || "tool";
+}
+
+/**
+ * Serializes the input of a tool call as OpenAI function arguments, which must be a JSON object. Inputs that are not,
+ * such as Python code, are wrapped as `{"input": ...}`.
+ * @param {Object} node - The assistant's node calling the tool.
+ * @returns {string} - The arguments as JSON.
+ */
+function toolArguments(node) {
+  const content = node.message.content ?? {};
+  const input = content.text ?? content.parts?.join("\n") ?? "";
+  try {
+    const parsed = JSON.parse(input);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return JSON.stringify(parsed);
+  } catch {
+    // Not JSON: wrap it
+  }
+  return JSON.stringify({ input });
+}
+
+/**
+ * Pairs tool messages with the assistant messages that called them, as the OpenAI chat format requires: the call
+ * becomes an assistant message with `tool_calls`, and the tool message answers it by `tool_call_id`. Tool messages
+ * whose call is not part of the branch, e.g. hidden browsing commands, get a call without arguments.
+ * @param {Object[]} entries - The messages as `{node, role, content}`, in order.
+ * @returns {Object[]} - The messages in the OpenAI chat format.
+ */
+function pairToolCalls(entries) {
+  const messages = [];
+  entries.forEach(({ node, role, content }, index) => {
+    if (role !== "tool") {
+      messages.push({ role, content });
+      return;
+    }
+    const previous = entries[index - 1];
+    const recipient = previous?.role === "assistant" ? previous.node.message.recipient : undefined;
+    const caller = recipient && recipient !== "all" ? previous.node : null;
+    // The call was rendered as the assistant's text: replace it
+    if (caller) messages.pop();
+    const id = `call_${String(node.message.id ?? node.id ?? index).replace(/[^A-Za-z0-9_-]+/g, "_")}`;
+    const call = {
+      id,
+      type: "function",
+      function: {
+        name: toolFunctionName(node.message.author.name ?? recipient),
+        arguments: caller ? toolArguments(caller) : "{}",
+      },
+    };
+    messages.push({ role: "assistant", content: null, tool_calls: [call] });
+    messages.push({ role: "tool", tool_call_id: id, content });
+  });
+  return messages;
+}
+
+/**
+ * Lists the messages of a conversation's active branch in the OpenAI chat format, with their content as markdown.
+ * @param {Object} conversation - The conversation.
+ * @param {Object} options - The options object.
+ * @param {boolean} options.tools - Whether to keep tool messages and the assistant messages calling them, as `tool`
+ *   messages answering an assistant message's `tool_calls`.
+ * @param {boolean} options.reasoning - Whether to keep reasoning messages, as assistant messages.
+ * @param {boolean} options.system - Whether to keep system messages and custom instructions.
+ * @param {Object<string, Function>} options.renderers - Renderers for this run keyed by content type.
+ * @param {Function} options.warn - Called with a message for problems that do not stop the conversion.
+ * @returns {Object[]} - The messages: `{role, content}`, and the tool calls and results.
+ */
+function conversationToChatMessages(conversation, { tools, reasoning, system, renderers, warn }) {
+  const ctx = {
+    conversation,
+    renderers,
+    citations: "inline",
+    roleStyle: "heading",
+    dateFormat: formatDate,
+    t: translateEnglish,
+    flavor: FLAVORS.obsidian,
+    attachments: new Map(),
+    contentTypes: {},
+    unknownContentTypes: new Set(),
+    warn,
+  };
+  const entries = getOrderedNodeIds(conversation)
+    .map((id) => conversation.mapping[id])
+    .filter(shouldIncludeMessage)
+    .flatMap((node) => {
+      const { author, content, metadata } = node.message;
+      const type = content?.content_type;
+      const isReasoning =
+        metadata?.reasoning_status === "is_reasoning" || type === "thoughts" || type === "reasoning_recap";
+      if (!reasoning && isReasoning) return [];
+      // Without tools, the assistant's calls go too, or they would be left as text without their results
+      const isToolCall = author.role === "assistant" && node.message.recipient && node.message.recipient !== "all";
+      if (!tools && (author.role === "tool" || isToolCall)) return [];
+      if (!system && (author.role === "system" || type === "user_editable_context")) return [];
+      const text = nodeToMarkdown(node, { skipHeader: true, ctx }).trim();
+      return text ? [{ node, role: author.role, content: text }] : [];
+    });
+  return pairToolCalls(entries);
+}
+
+/**
+ * Declares the functions called in a list of chat messages, as fine-tuning examples with tool calls need.
+ * @param {Object[]} messages - The messages in the OpenAI chat format.
+ * @returns {Object[]} - The `tools` of the example, empty if no tool was called.
+ */
+function declareTools(messages) {
+  const names = new Set(messages.flatMap((message) => message.tool_calls ?? []).map((call) => call.function.name));
+  return [...names].map((name) => ({ type: "function", function: { name, parameters: { type: "object" } } }));
+}
+
+/**
+ * Writes ChatGPT conversations as JSONL in the OpenAI chat format (`{"messages": [{"role", "content"}, ...]}`), for
+ * fine-tuning and evaluation datasets. Messages follow each conversation's active branch, like notes do, and their
+ * content is rendered as markdown.
+ * @param {Array|AsyncIterable} json - The conversations, as for chatgptToMarkdown.
+ * @param {string} outputFile - The JSONL file to write.
+ * @param {Object} [options] - The options object.
+ * @param {"conversation"|"turn"} [options.split="conversation"] - Writes a line per conversation, or per assistant
+ *   turn holding the conversation up to and including that turn's reply.
+ * @param {boolean} [options.tools=true] - Keeps tool messages, e.g. Code Interpreter output. Each becomes a `tool`
+ *   message answering an assistant message's `tool_calls`, named after the tool, and each line declares the `tools`
+ *   it calls. Without tools, the assistant's calls are left out as well.
+ * @param {boolean} [options.reasoning=true] - Keeps reasoning messages, as assistant messages.
+ * @param {boolean} [options.system=true] - Keeps system messages and custom instructions.
+ * @param {string} [options.notesDir] - A directory of notes written by chatgptToMarkdown, whose front matter flags
+ *   `favorite` and `validated` select conversations.
+ * @param {boolean} [options.favorite=false] - Only writes conversations whose note has `favorite: true`.
+ * @param {boolean} [options.validated=false] - Only writes conversations whose note has `validated: true`.
+ * @param {Function} [options.filter] - Only writes conversations for which this returns true. See createFilter.
+ * @param {Object<string, Function>} [options.renderers] - Renderers for this run keyed by content type.
+ * @param {Function} [options.onWarning=console.warn] - Called with a message for problems that do not stop the
+ *   conversion.
+ * @returns {Promise<Object>} - The number of `conversations` and `lines` written, and the `warnings` given.
+ * @example
+ * await chatgptToJsonl(conversations, "train.jsonl", { split: "turn", notesDir: "./notes", favorite: true });
+ */
+export async function chatgptToJsonl(json, outputFile, options = {}) {
+  const {
+    split = "conversation",
+    tools = true,
+    reasoning = true,
+    system = true,
+    notesDir,
+    favorite = false,
+    validated = false,
+    filter = () => true,
+    renderers = {},
+    onWarning = console.warn,
+  } = options;
+  if (!Array.isArray(json) && typeof json?.[Symbol.asyncIterator] !== "function") {
+    throw new TypeError("The first argument must be an array or an async iterable.");
+  }
+  if (typeof outputFile !== "string") {
+    throw new TypeError("The second argument must be a string.");
+  }
+  if (!["conversation", "turn"].includes(split)) {
+    throw new TypeError(`Unknown split option: ${split}`);
+  }
+  if ((favorite || validated) && !notesDir) {
+    throw new TypeError("The favorite and validated options need notesDir.");
+  }
+
+  const notes = notesDir ? await readNotesFrontMatter(notesDir) : null;
+  const report = { conversations: 0, lines: 0, warnings: [] };
+  await fs.mkdir(path.dirname(path.resolve(outputFile)), { recursive: true });
+  const handle = await fs.open(outputFile, "w");
+  try {
+    for await (const conversation of json) {
+      if (!filter(conversation)) continue;
+      const note = notes?.get(String(conversation.conversation_id ?? conversation.id));
+      if ((favorite && note?.data.favorite !== true) || (validated && note?.data.validated !== true)) continue;
+
+      const warnings = new Set();
+      const messages = conversationToChatMessages(conversation, {
+        tools,
+        reasoning,
+        system,
+        renderers,
+        warn: (message) => {
+          if (warnings.has(message)) return;
+          warnings.add(message);
+          report.warnings.push(message);
+          onWarning?.(message);
+        },
+      });
+      // A turn's reply is the last assistant message before the next user message
+      const replies = messages.flatMap((message, i) =>
+        message.role === "assistant" && (i === messages.length - 1 || messages[i + 1].role === "user") ? [i] : [],
+      );
+      const hasReply = messages.some((message) => message.role === "assistant");
+      const examples = split === "turn" ? replies : hasReply ? [messages.length - 1] : [];
+      if (!examples.length) continue;
+      const lines = examples.map((end) => {
+        const example = messages.slice(0, end + 1);
+        const declared = declareTools(example);
+        return JSON.stringify({ messages: example, ...(declared.length ? { tools: declared } : {}) }) + "\n";
+      });
+      await handle.write(lines.join(""));
+      report.conversations++;
+      report.lines += lines.length;
+    }
+  } finally {
+    await handle.close();
   }
+  return report;
 }
 
 // Export the convertToMarkdown function as the default export
@@ -3,7 +3,58 @@
 import { promises as fs } from "fs";
 import path from "path";
 import os from "os";
-import { default as chatgptToMarkdown, formatDate } from "./index";
+import zlib from "zlib";
+import { adaptConversations } from "./adapters";
+import {
+  default as chatgptToMarkdown,
+  chatgptToHtml,
+  chatgptToJsonl,
+  createFilter,
+  formatDate,
+  loadExport,
+  MANIFEST_FILE,
+  registerRenderer,
+} from "./index";
+
+/**
+ * Builds a minimal zip archive with deflated entries.
+ * @param {Object<string, string|Buffer>} files - File contents keyed by path.
+ * @returns {Buffer} - The zip archive.
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const compressed = zlib.deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
 
 describe("chatgptToMarkdown", () => {
   let tempDir;
@@ -358,6 +409,15 @@ describe("chatgptToMarkdown", () => {
     expect(fileContent).toContain("```\nPage Summary\nSearch Result\n```");
   });
 
+  it("should convert conversations from an async iterable", async () => {
+    async function* conversations() {
+      yield { title: "First", conversation_id: "a", create_time: 1630454400, update_time: 1630458000, mapping: {} };
+      yield { title: "First", conversation_id: "b", create_time: 1630454400, update_time: 1630458000, mapping: {} };
+    }
+    await chatgptToMarkdown(conversations(), tempDir);
+    expect((await fs.readdir(tempDir)).sort()).toEqual(["First (2021-09-01).md", "First.md"]);
+  });
+
   it("should throw TypeError for invalid arguments", async () => {
     await expect(chatgptToMarkdown("not an array", tempDir)).rejects.toThrow(TypeError);
     await expect(chatgptToMarkdown([], 123)).rejects.toThrow(TypeError);
@@ -585,4 +645,1685 @@ describe("chatgptToMarkdown", () => {
     const fileContent = await fs.readFile(path.join(tempDir, "Test Conversation.md"), "utf8");
     expect(fileContent).toContain("- Project: https://chatgpt.com/g/g123/project");
   });
+
+  describe("branches", () => {
+    // root -> prompt -> two regenerated replies, the second of which is active
+    const branched = () => [
+      {
+        title: "Branched",
+        conversation_id: "b1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        current_node: "a2",
+        mapping: {
+          root: { id: "root", parent: null, children: ["u1"] },
+          u1: {
+            id: "u1",
+            parent: "root",
+            children: ["a1", "a2"],
+            message: { author: { role: "user" }, content: { content_type: "text", parts: ["Question"] } },
+          },
+          a1: {
+            id: "a1",
+            parent: "u1",
+            children: [],
+            message: { author: { role: "assistant" }, content: { content_type: "text", parts: ["First answer"] } },
+          },
+          a2: {
+            id: "a2",
+            parent: "u1",
+            children: [],
+            message: { author: { role: "assistant" }, content: { content_type: "text", parts: ["Second answer"] } },
+          },
+        },
+      },
+    ];
+
+    it("should only render the active branch by default", async () => {
+      await chatgptToMarkdown(branched(), tempDir);
+      const fileContent = await fs.readFile(path.join(tempDir, "Branched.md"), "utf8");
+      expect(fileContent).toContain("Second answer");
+      expect(fileContent).not.toContain("First answer");
+      expect(fileContent.indexOf("Question")).toBeLessThan(fileContent.indexOf("Second answer"));
+    });
+
+    it("should follow the latest reply when current_node is missing", async () => {
+      const json = branched();
+      delete json[0].current_node;
+      await chatgptToMarkdown(json, tempDir);
+      const fileContent = await fs.readFile(path.join(tempDir, "Branched.md"), "utf8");
+      expect(fileContent).toContain("Second answer");
+      expect(fileContent).not.toContain("First answer");
+    });
+
+    it("should render alternate branches as collapsed callouts where they fork", async () => {
+      await chatgptToMarkdown(branched(), tempDir, { branches: "callout" });
+      const fileContent = await fs.readFile(path.join(tempDir, "Branched.md"), "utf8");
+      expect(fileContent).toContain("> [!note]- Alternate branch 1 of 2\n> ## assistant\n>\n> First answer");
+      expect(fileContent.indexOf("First answer")).toBeLessThan(fileContent.indexOf("Second answer"));
+    });
+
+    it("should write alternate branches to separate linked notes", async () => {
+      await chatgptToMarkdown(branched(), tempDir, { branches: "notes" });
+      const fileContent = await fs.readFile(path.join(tempDir, "Branched.md"), "utf8");
+      expect(fileContent).toContain("> [!note] Alternate branch 1 of 2: [[Branched (branch 1)]]");
+      expect(fileContent).not.toContain("First answer");
+      const branchContent = await fs.readFile(path.join(tempDir, "Branched (branch 1).md"), "utf8");
+      expect(branchContent).toContain("forked from [[Branched]]");
+      expect(branchContent).toContain("First answer");
+    });
+  });
+
+  describe("sync", () => {
+    const conversation = (overrides = {}) => ({
+      title: "Synced",
+      conversation_id: "s1",
+      create_time: 1630454400,
+      update_time: 1630458000,
+      mapping: {
+        0: { message: { author: { role: "assistant" }, content: { content_type: "text", parts: ["Answer"] } } },
+      },
+      ...overrides,
+    });
+
+    it("should record converted conversations in a manifest", async () => {
+      await chatgptToMarkdown([conversation()], tempDir, { sync: true });
+      const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), "utf8"));
+      expect(manifest.conversations.s1).toEqual({
+        update_time: 1630458000,
+        path: "Synced.md",
+        title: "Synced",
+        create_time: 1630454400,
+        message_count: 1,
+      });
+    });
+
+    it("should skip unchanged conversations and rewrite changed ones", async () => {
+      const filePath = path.join(tempDir, "Synced.md");
+      await chatgptToMarkdown([conversation()], tempDir, { sync: true });
+      await fs.writeFile(filePath, "untouched", "utf8");
+      await chatgptToMarkdown([conversation()], tempDir, { sync: true });
+      expect(await fs.readFile(filePath, "utf8")).toBe("untouched");
+      await chatgptToMarkdown([conversation({ update_time: 1630459000 })], tempDir, { sync: true });
+      expect(await fs.readFile(filePath, "utf8")).toContain("Answer");
+    });
+
+    it("should move the note when the conversation was renamed", async () => {
+      await chatgptToMarkdown([conversation()], tempDir, { sync: true });
+      await chatgptToMarkdown([conversation({ title: "Renamed" })], tempDir, { sync: true });
+      expect(await fs.readdir(tempDir)).toEqual([MANIFEST_FILE, "Renamed.md"]);
+    });
+
+    it("should not remove the old path of a renamed note when another conversation took it over", async () => {
+      await chatgptToMarkdown([conversation()], tempDir, { sync: true });
+      // Newest first, as in the export, so the new conversation is written before the renamed one moves
+      const newer = conversation({ conversation_id: "s2", create_time: 1630540800, update_time: 1630540800 });
+      await chatgptToMarkdown([newer, conversation({ title: "Renamed" })], tempDir, { sync: true });
+      expect((await fs.readdir(tempDir)).sort()).toEqual([MANIFEST_FILE, "Renamed.md", "Synced.md"]);
+      expect(await fs.readFile(path.join(tempDir, "Synced.md"), "utf8")).toContain("conversation_id: s2\n");
+      const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), "utf8"));
+      expect(manifest.conversations.s2.path).toBe("Synced.md");
+    });
+
+    it("should keep the note of a conversation sharing the title of a renamed one", async () => {
+      const newer = conversation({ conversation_id: "s2", create_time: 1630540800, update_time: 1630540800 });
+      await chatgptToMarkdown([newer, conversation()], tempDir, { sync: true });
+      expect((await fs.readdir(tempDir)).sort()).toEqual([MANIFEST_FILE, "Synced (2021-09-02).md", "Synced.md"]);
+      const report = await chatgptToMarkdown([newer, conversation({ title: "Renamed" })], tempDir, { sync: true });
+      expect(report.unchanged).toEqual(["Synced (2021-09-02).md"]);
+      expect((await fs.readdir(tempDir)).sort()).toEqual([MANIFEST_FILE, "Renamed.md", "Synced (2021-09-02).md"]);
+    });
+  });
+
+  describe("name collisions", () => {
+    const conversation = (id, create_time, title = "Python help") => ({
+      title,
+      conversation_id: id,
+      create_time,
+      update_time: create_time,
+      mapping: {
+        0: { message: { author: { role: "assistant" }, content: { content_type: "text", parts: [`Answer ${id}`] } } },
+      },
+    });
+
+    it("should keep every conversation that shares a title", async () => {
+      // Newest first, as in the export; the oldest conversation keeps the plain title
+      const json = [
+        conversation("cccc3333", 1630627200),
+        conversation("bbbb2222", 1630540800, "python HELP"),
+        conversation("aaaa1111", 1630454400),
+      ];
+      await chatgptToMarkdown(json, tempDir);
+      expect((await fs.readdir(tempDir)).sort()).toEqual([
+        "Python help (2021-09-03).md",
+        "Python help.md",
+        "python HELP (2021-09-02).md",
+      ]);
+      expect(await fs.readFile(path.join(tempDir, "Python help.md"), "utf8")).toContain("Answer aaaa1111");
+    });
+
+    it("should append a short id when the date also collides", async () => {
+      const json = [
+        conversation("aaaa1111", 1630454400),
+        conversation("bbbb2222", 1630454400),
+        conversation("cccc3333", 1630454500),
+      ];
+      await chatgptToMarkdown(json, tempDir);
+      expect((await fs.readdir(tempDir)).sort()).toEqual([
+        "Python help (2021-09-01 cccc3333).md",
+        "Python help (2021-09-01).md",
+        "Python help.md",
+      ]);
+    });
+
+    it("should give streamed conversations the same names whatever their order", async () => {
+      const json = [conversation("bbbb2222", 1630540800), conversation("aaaa1111", 1630454400)];
+      const namesOf = async (conversations, dir) => {
+        await fs.writeFile(path.join(tempDir, "conversations.json"), JSON.stringify(conversations));
+        const { conversations: streamed } = await loadExport(path.join(tempDir, "conversations.json"), { stream: true });
+        const report = await chatgptToMarkdown(streamed, path.join(tempDir, dir));
+        const note = await fs.readFile(path.join(tempDir, dir, "Python help.md"), "utf8");
+        return { created: report.created.sort(), id: note.match(/conversation_id: (\w+)/)[1] };
+      };
+      const expected = { created: ["Python help (2021-09-02).md", "Python help.md"], id: "aaaa1111" };
+      expect(await namesOf(json, "newest-first")).toEqual(expected);
+      expect(await namesOf(json.reverse(), "oldest-first")).toEqual(expected);
+    });
+
+    it("should write the conversation id into the front matter", async () => {
+      await chatgptToMarkdown([conversation("aaaa1111", 1630454400)], tempDir);
+      const fileContent = await fs.readFile(path.join(tempDir, "Python help.md"), "utf8");
+      expect(fileContent).toContain("\nconversation_id: aaaa1111\n");
+    });
+  });
+
+  describe("loadExport", () => {
+    const conversations = [{ title: "Zipped", conversation_id: "z1", create_time: 1630454400, mapping: {} }];
+
+    it("should read conversations.json and the other entries from the export zip", async () => {
+      const zipPath = path.join(tempDir, "export.zip");
+      await fs.writeFile(
+        zipPath,
+        makeZip({
+          "user.json": '{"id":"user-1"}',
+          "conversations.json": JSON.stringify(conversations),
+          "file-abc-image.png": Buffer.from([1, 2, 3]),
+        }),
+      );
+      const { conversations: loaded, assets } = await loadExport(zipPath);
+      expect(loaded).toEqual(conversations);
+      expect([...assets.keys()]).toEqual(["user.json", "file-abc-image.png"]);
+      expect(await assets.get("file-abc-image.png")()).toEqual(Buffer.from([1, 2, 3]));
+    });
+
+    it("should treat the files next to an extracted conversations.json as assets", async () => {
+      await fs.writeFile(path.join(tempDir, "conversations.json"), JSON.stringify(conversations));
+      await fs.mkdir(path.join(tempDir, "dalle-generations"));
+      await fs.writeFile(path.join(tempDir, "dalle-generations", "file-xyz.webp"), "image");
+      const { conversations: loaded, assets } = await loadExport(path.join(tempDir, "conversations.json"));
+      expect(loaded).toEqual(conversations);
+      expect([...assets.keys()]).toEqual(["dalle-generations/file-xyz.webp"]);
+      expect((await assets.get("dalle-generations/file-xyz.webp")()).toString()).toBe("image");
+    });
+
+    it("should not search unrelated folders next to an extracted conversations.json", async () => {
+      await fs.writeFile(path.join(tempDir, "conversations.json"), JSON.stringify(conversations));
+      await fs.writeFile(path.join(tempDir, "file-abc-image.png"), "image");
+      await fs.mkdir(path.join(tempDir, "Photos", "2021"), { recursive: true });
+      await fs.writeFile(path.join(tempDir, "Photos", "2021", "file-abc.png"), "holiday");
+      const { assets } = await loadExport(path.join(tempDir, "conversations.json"));
+      expect([...assets.keys()]).toEqual(["file-abc-image.png"]);
+    });
+
+    it("should stream conversations from the export zip", async () => {
+      const zipPath = path.join(tempDir, "export.zip");
+      await fs.writeFile(zipPath, makeZip({ "conversations.json": JSON.stringify(conversations) }));
+      const { conversations: streamed } = await loadExport(zipPath, { stream: true });
+      expect(Array.isArray(streamed)).toBe(false);
+      const loaded = [];
+      for await (const conversation of streamed) loaded.push(conversation);
+      expect(loaded).toEqual(conversations);
+    });
+
+    it("should fail when the zip has no conversations.json", async () => {
+      const zipPath = path.join(tempDir, "export.zip");
+      await fs.writeFile(zipPath, makeZip({ "user.json": "{}" }));
+      await expect(loadExport(zipPath)).rejects.toThrow("No conversations.json found");
+    });
+  });
+
+  describe("images", () => {
+    const imageConversation = (role, asset_pointer, extraParts = []) => [
+      {
+        title: "Images",
+        conversation_id: "i1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        mapping: {
+          0: {
+            message: {
+              author: { role },
+              content: {
+                content_type: "multimodal_text",
+                parts: [
+                  {
+                    content_type: "image_asset_pointer",
+                    asset_pointer,
+                    width: 1024,
+                    height: 1024,
+                    metadata: { dalle: { prompt: "A *red* fox" } },
+                  },
+                  ...extraParts,
+                ],
+              },
+            },
+          },
+        },
+      },
+    ];
+    const assets = new Map([
+      ["file-AbC123-fox.webp", async () => Buffer.from("fox")],
+      ["user-1/file_00000000ab-photo.png", async () => Buffer.from("photo")],
+    ]);
+
+    it("should copy DALL·E images into the attachments folder and embed them with the prompt as caption", async () => {
+      await chatgptToMarkdown(imageConversation("tool", "file-service://file-AbC123"), tempDir, { assets });
+      const fileContent = await fs.readFile(path.join(tempDir, "Images.md"), "utf8");
+      expect(fileContent).toContain("![[file-AbC123-fox.webp]]\n*A \\*red\\* fox*");
+      expect(await fs.readFile(path.join(tempDir, "attachments", "file-AbC123-fox.webp"), "utf8")).toBe("fox");
+    });
+
+    it("should resolve sediment pointers into a custom attachments folder without indenting the embed", async () => {
+      const json = imageConversation("user", "sediment://file_00000000ab", ["What is this?"]);
+      await chatgptToMarkdown(json, tempDir, { assets, attachmentsDir: "media" });
+      const fileContent = await fs.readFile(path.join(tempDir, "Images.md"), "utf8");
+      expect(fileContent).toContain("    What is this?\n\n![[file_00000000ab-photo.png]]");
+      expect(await fs.readFile(path.join(tempDir, "media", "file_00000000ab-photo.png"), "utf8")).toBe("photo");
+    });
+
+    it("should fall back to a text placeholder when the image is not in the export", async () => {
+      await chatgptToMarkdown(imageConversation("tool", "file-service://file-missing"), tempDir, { assets });
+      const fileContent = await fs.readFile(path.join(tempDir, "Images.md"), "utf8");
+      expect(fileContent).toContain("Image (1024x1024): A *red* fox");
+      await expect(fs.access(path.join(tempDir, "attachments"))).rejects.toThrow();
+    });
+  });
+
+  describe("front matter", () => {
+    const conversation = (title) => [
+      {
+        title,
+        conversation_id: "f1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        mapping: {
+          0: {
+            message: {
+              author: { role: "user" },
+              content: { content_type: "text", parts: ["Hi"] },
+              metadata: { model_slug: "gpt-4o" },
+            },
+          },
+          1: { message: { author: { role: "assistant" }, content: { content_type: "text", parts: ["Hello"] } } },
+        },
+      },
+    ];
+
+    it("should quote titles that would break YAML", async () => {
+      await chatgptToMarkdown(conversation('Fix: "quotes" #1'), tempDir);
+      const fileContent = await fs.readFile(path.join(tempDir, "Fix quotes #1.md"), "utf8");
+      expect(fileContent).toContain('\naliases: "Fix: \\"quotes\\" #1"\n');
+      expect(fileContent).toContain("\nai_model_name: gpt-4o\n");
+      expect(fileContent).toContain("\nauthor:\n");
+    });
+
+    it("should render a custom template with placeholders", async () => {
+      const frontMatter = {
+        title: "{title}",
+        chat: "[[{id}]] on {create_date}",
+        messages: "{message_count}",
+        reviewed: false,
+        topics: ["chatgpt", "yes"],
+        model: (data) => data.model.toUpperCase(),
+      };
+      await chatgptToMarkdown(conversation("Plain title"), tempDir, { frontMatter });
+      const fileContent = await fs.readFile(path.join(tempDir, "Plain title.md"), "utf8");
+      expect(fileContent).toMatch(
+        /^---\ntitle: Plain title\nchat: "\[\[f1\]\] on 2021-09-01"\nmessages: 1\nreviewed: false\ntopics:\n  - chatgpt\n  - "yes"\nmodel: GPT-4O\n---\n\n# Plain title\n/,
+      );
+    });
+
+    it("should omit the front matter when the template is null", async () => {
+      await chatgptToMarkdown(conversation("No front matter"), tempDir, { frontMatter: null });
+      const fileContent = await fs.readFile(path.join(tempDir, "No front matter.md"), "utf8");
+      expect(fileContent.startsWith("# No front matter\n")).toBe(true);
+    });
+  });
+
+  describe("tags", () => {
+    const conversation = () => [
+      {
+        title: "Deploying with Docker",
+        conversation_id: "t1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        gizmo_id: "g-abc123",
+        current_node: "2",
+        mapping: {
+          0: {
+            id: "0",
+            children: ["1"],
+            message: {
+              author: { role: "user" },
+              content: { content_type: "text", parts: ["How do I write a Dockerfile?"] },
+            },
+          },
+          1: {
+            id: "1",
+            parent: "0",
+            children: ["2"],
+            message: {
+              author: { role: "assistant" },
+              content: { content_type: "thoughts", thoughts: [{ summary: "Plan", content: "Think" }] },
+              metadata: { model_slug: "gpt-4.5" },
+            },
+          },
+          2: {
+            id: "2",
+            parent: "1",
+            message: {
+              author: { role: "assistant" },
+              content: {
+                content_type: "text",
+                parts: ["Like this:\n\n```dockerfile\nFROM node\n```\n\n```c++\nint x;\n```"],
+              },
+            },
+          },
+        },
+      },
+    ];
+
+    it("should tag the model, custom GPT, content types and code languages", async () => {
+      await chatgptToMarkdown(conversation(), tempDir);
+      const fileContent = await fs.readFile(path.join(tempDir, "Deploying with Docker.md"), "utf8");
+      expect(fileContent).toContain(
+        "\ntags:\n  - gpt/g-abc123\n  - has/code\n  - has/reasoning\n  - lang/cpp\n  - lang/dockerfile\n  - model/gpt-4-5\n",
+      );
+    });
+
+    it("should apply keyword rules and allow disabling automatic tags", async () => {
+      const tagRules = { "\\bdocker(file)?\\b": ["devops", "Containers"], kubernetes: "k8s" };
+      await chatgptToMarkdown(conversation(), tempDir, { autoTags: false, tagRules });
+      const fileContent = await fs.readFile(path.join(tempDir, "Deploying with Docker.md"), "utf8");
+      expect(fileContent).toContain("\ntags:\n  - containers\n  - devops\ncompleted:");
+    });
+  });
+
+  describe("path templates", () => {
+    const conversation = (overrides = {}) => ({
+      title: "Release notes: v2/v3",
+      conversation_id: "p1",
+      create_time: 1630454400,
+      update_time: 1630458000,
+      current_node: "1",
+      mapping: {
+        0: {
+          id: "0",
+          children: ["1"],
+          message: { author: { role: "user" }, content: { content_type: "text", parts: ["Q"] } },
+        },
+        1: {
+          id: "1",
+          parent: "0",
+          message: {
+            author: { role: "assistant" },
+            content: { content_type: "text", parts: ["A"] },
+            metadata: { model_slug: "gpt-4o" },
+          },
+        },
+      },
+      ...overrides,
+    });
+
+    it("should organize notes into sanitized folders", async () => {
+      await chatgptToMarkdown([conversation()], tempDir, { pathTemplate: "{year}/{month}/{model}: {title}" });
+      await expect(fs.access(path.join(tempDir, "2021", "09", "gpt-4o Release notes v2 v3.md"))).resolves.not.toThrow();
+    });
+
+    it("should drop empty folders and only disambiguate notes in the same folder", async () => {
+      const json = [conversation(), conversation({ conversation_id: "p2", create_time: 1630540800, gizmo_id: "g-1" })];
+      await chatgptToMarkdown(json, tempDir, { pathTemplate: "{gizmo}/{title}" });
+      await expect(fs.access(path.join(tempDir, "Release notes v2 v3.md"))).resolves.not.toThrow();
+      await expect(fs.access(path.join(tempDir, "g-1", "Release notes v2 v3.md"))).resolves.not.toThrow();
+    });
+
+    it("should track folder paths in the sync manifest", async () => {
+      await chatgptToMarkdown([conversation()], tempDir, { pathTemplate: "{year}/{title}", sync: true });
+      await chatgptToMarkdown([conversation()], tempDir, { pathTemplate: "{model}/{title}", sync: true });
+      const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), "utf8"));
+      expect(manifest.conversations.p1.path).toBe("gpt-4o/Release notes v2 v3.md");
+      await expect(fs.access(path.join(tempDir, "2021", "Release notes v2 v3.md"))).rejects.toThrow();
+    });
+  });
+
+  describe("createFilter", () => {
+    const conversation = (overrides = {}) => ({
+      title: "Weekly report",
+      conversation_id: "c1",
+      create_time: 1714521600, // 2024-05-01
+      update_time: 1717113600, // 2024-05-31
+      gizmo_id: "g-1",
+      mapping: {
+        0: {
+          message: {
+            author: { role: "assistant" },
+            content: { content_type: "text", parts: ["Report"] },
+            metadata: { model_slug: "gpt-4o" },
+          },
+        },
+      },
+      ...overrides,
+    });
+
+    it("should filter by date range on the chosen field", () => {
+      expect(createFilter({ since: "2024-05-15" })(conversation())).toBe(true);
+      expect(createFilter({ since: "2024-05-15", dateField: "create_time" })(conversation())).toBe(false);
+      // A date-only "until" includes the whole day
+      expect(createFilter({ until: "2024-05-31" })(conversation({ update_time: 1717199999 }))).toBe(true);
+      expect(createFilter({ until: "2024-05-30" })(conversation())).toBe(false);
+      expect(() => createFilter({ since: "yesterday-ish" })).toThrow(TypeError);
+    });
+
+    it("should filter by title, id, model, gizmo and archived state", () => {
+      expect(createFilter({ title: "^weekly" })(conversation())).toBe(true);
+      expect(createFilter({ title: "monthly" })(conversation())).toBe(false);
+      expect(createFilter({ ids: ["c2", "c1"] })(conversation())).toBe(true);
+      expect(createFilter({ ids: ["c2"] })(conversation())).toBe(false);
+      expect(createFilter({ models: ["GPT-4o"] })(conversation())).toBe(true);
+      expect(createFilter({ models: ["o1"] })(conversation())).toBe(false);
+      expect(createFilter({ gizmos: ["g-2"] })(conversation())).toBe(false);
+      expect(createFilter({ archived: "exclude" })(conversation({ is_archived: true }))).toBe(false);
+      expect(createFilter({ archived: "only" })(conversation())).toBe(false);
+    });
+
+    it("should only convert the selected conversations", async () => {
+      const json = [conversation(), conversation({ title: "Other", conversation_id: "c2", is_archived: true })];
+      await chatgptToMarkdown(json, tempDir, { filter: createFilter({ archived: "exclude" }) });
+      expect(await fs.readdir(tempDir)).toEqual(["Weekly report.md"]);
+    });
+  });
+
+  describe("index note", () => {
+    const conversation = (id, title, create_time, overrides = {}) => ({
+      title,
+      conversation_id: id,
+      create_time,
+      update_time: create_time,
+      mapping: {
+        0: {
+          message: {
+            author: { role: "assistant" },
+            content: { content_type: "text", parts: ["Answer"] },
+            metadata: { model_slug: "gpt-4o" },
+          },
+        },
+      },
+      ...overrides,
+    });
+    const json = () => [
+      conversation("a", "Older", 1630454400),
+      conversation("b", "Newer", 1633046400, { gizmo_id: "g-1" }),
+      conversation("c", "Index", 1633132800),
+    ];
+
+    it("should list every conversation grouped by month, newest first", async () => {
+      await chatgptToMarkdown(json(), tempDir, { index: { name: "Index" }, dateFormat: (d) => d.toISOString() });
+      const index = await fs.readFile(path.join(tempDir, "Index.md"), "utf8");
+      expect(index).toBe(`# Index
+
+## 2021-10
+
+- [[Index (2021-10-02)]] · 2021-10-02T00:00:00.000Z · gpt-4o · 1 message
+- [[Newer]] · 2021-10-01T00:00:00.000Z · gpt-4o · 1 message
+
+## 2021-09
+
+- [[Older]] · 2021-09-01T00:00:00.000Z · gpt-4o · 1 message
+
+`);
+    });
+
+    it("should group by custom GPT and write Dataview inline fields with folder links", async () => {
+      await chatgptToMarkdown(json(), tempDir, {
+        index: { groupByGizmo: true, format: "dataview" },
+        pathTemplate: "{year}/{title}",
+      });
+      const index = await fs.readFile(path.join(tempDir, "ChatGPT Index.md"), "utf8");
+      expect(index).toContain(
+        "## g-1\n\n### 2021-10\n\n- [[2021/Newer|Newer]] [created:: 2021-10-01] [model:: gpt-4o] [messages:: 1] [gizmo:: g-1]\n",
+      );
+      expect(index.indexOf("## g-1")).toBeLessThan(index.indexOf("## No custom GPT"));
+    });
+
+    it("should keep conversations skipped by an incremental run in the index", async () => {
+      await chatgptToMarkdown(json(), tempDir, { sync: true, index: true });
+      await chatgptToMarkdown([conversation("d", "Latest", 1635724800)], tempDir, { sync: true, index: true });
+      const index = await fs.readFile(path.join(tempDir, "ChatGPT Index.md"), "utf8");
+      for (const title of ["Latest", "Newer", "Older", "Index"]) expect(index).toContain(`[[${title}]]`);
+    });
+  });
+
+  describe("dry run", () => {
+    const conversation = (id, title, parts, overrides = {}) => ({
+      title,
+      conversation_id: id,
+      create_time: 1630454400,
+      update_time: 1630458000,
+      current_node: parts.length ? `${parts.length - 1}` : undefined,
+      mapping: Object.fromEntries(
+        parts.map((content, i) => [
+          i,
+          { parent: i ? `${i - 1}` : null, children: [], message: { author: { role: "assistant" }, content } },
+        ]),
+      ),
+      ...overrides,
+    });
+    const json = () => [
+      conversation("a", "Notes", [
+        { content_type: "text", parts: ["One"] },
+        { content_type: "text", parts: ["Two"] },
+        { content_type: "mystery_widget", data: {} },
+      ]),
+      conversation("b", "Notes", [{ content_type: "code", language: "python", text: "print(1)" }], {
+        create_time: 1633046400,
+      }),
+      conversation("c", "Blank", []),
+    ];
+
+    it("should write nothing and report what would be written", async () => {
+      const options = { dryRun: true, sync: true, index: true, onWarning: () => {} };
+      const report = await chatgptToMarkdown(json(), tempDir, options);
+      expect(await fs.readdir(tempDir)).toEqual([]);
+      expect(report.dryRun).toBe(true);
+      expect(report.created).toEqual(["Notes.md", "Notes (2021-10-01).md", "Blank.md", "ChatGPT Index.md"]);
+      expect(report.overwritten).toEqual([]);
+      expect(report.collisions).toEqual([
+        { id: "b", title: "Notes", path: "Notes (2021-10-01).md", wanted: "Notes.md" },
+      ]);
+      expect(report.empty).toEqual([{ id: "c", title: "Blank", path: "Blank.md" }]);
+      expect(report.contentTypes).toEqual({ text: 2, code: 1, mystery_widget: 1 });
+      expect(report.unknownContentTypes).toEqual({ mystery_widget: 1 });
+    });
+
+    it("should report overwritten, unchanged and skipped empty conversations of a real run", async () => {
+      await chatgptToMarkdown(json().slice(0, 1), tempDir);
+      const report = await chatgptToMarkdown(json(), tempDir, { skipEmpty: true, onWarning: () => {} });
+      expect(report.dryRun).toBe(false);
+      expect(report.overwritten).toEqual(["Notes.md"]);
+      expect(report.created).toEqual(["Notes (2021-10-01).md"]);
+      await expect(fs.access(path.join(tempDir, "Blank.md"))).rejects.toThrow();
+
+      await chatgptToMarkdown(json(), tempDir, { sync: true, onWarning: () => {} });
+      const synced = await chatgptToMarkdown(json(), tempDir, { sync: true, dryRun: true });
+      expect(synced.unchanged).toEqual(["Notes.md", "Notes (2021-10-01).md", "Blank.md"]);
+      expect(synced.created).toEqual([]);
+    });
+  });
+
+  describe("renderers", () => {
+    const json = () => [
+      {
+        title: "Renderers",
+        conversation_id: "r1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        current_node: "2",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: { author: { role: "assistant" }, content: { content_type: "code", language: "js", text: "a()" } },
+          },
+          1: {
+            parent: "0",
+            children: ["2"],
+            message: {
+              author: { role: "tool" },
+              recipient: "all",
+              content: { content_type: "code", language: "js", text: "b()" },
+            },
+          },
+          2: {
+            parent: "1",
+            children: [],
+            message: {
+              author: { role: "assistant" },
+              content: { content_type: "poll", question: "Tea?" },
+              metadata: { poll_id: "p1" },
+            },
+          },
+        },
+      },
+    ];
+    const read = () => fs.readFile(path.join(tempDir, "Renderers.md"), "utf8");
+
+    it("should render new content types with registered renderers until they are removed", async () => {
+      const unregister = registerRenderer("poll", (content, { metadata }) => {
+        return `Poll ${metadata.poll_id}: ${content.question}`;
+      });
+      try {
+        const report = await chatgptToMarkdown(json(), tempDir);
+        expect(await read()).toContain("## assistant\n\nPoll p1: Tea?\n");
+        expect(report.unknownContentTypes).toEqual({});
+      } finally {
+        unregister();
+      }
+      const report = await chatgptToMarkdown(json(), tempDir, { onWarning: () => {} });
+      expect(await read()).not.toContain("Poll p1");
+      expect(report.unknownContentTypes).toEqual({ poll: 1 });
+    });
+
+    it("should prefer renderers restricted to the message's role or recipient", async () => {
+      const unregister = [
+        registerRenderer("code", (content) => `Tool ran ${content.text}`, { role: "tool" }),
+        registerRenderer("code", (content) => `Never ${content.text}`, { role: "tool", recipient: "python" }),
+      ];
+      try {
+        await chatgptToMarkdown(json(), tempDir);
+        const markdown = await read();
+        expect(markdown).toContain("```js\na()\n```");
+        expect(markdown).toContain("Tool ran b()");
+        expect(markdown).not.toContain("Never");
+      } finally {
+        unregister.forEach((remove) => remove());
+      }
+    });
+
+    it("should let per-run renderers override registered ones and add embeds", async () => {
+      await chatgptToMarkdown(json(), tempDir, {
+        renderers: {
+          code: (content, { embed, node }) => {
+            embed(`![[${node.message.author.role}.png]]\n`);
+            return content.text;
+          },
+        },
+      });
+      const markdown = await read();
+      expect(markdown).toContain("## assistant\n\na()\n\n![[assistant.png]]");
+      await expect(chatgptToMarkdown(json(), tempDir, { renderers: { code: "js" } })).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe("unknown content types", () => {
+    const json = () => [
+      {
+        title: "Unknown",
+        conversation_id: "u1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        current_node: "1",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: {
+              author: { role: "user" },
+              content: {
+                content_type: "multimodal_text",
+                parts: [{ content_type: "audio_transcription", text: "Spoken words", direction: "in" }, "Typed"],
+              },
+            },
+          },
+          1: {
+            parent: "0",
+            children: [],
+            message: {
+              author: { role: "assistant" },
+              content: {
+                content_type: "poll",
+                text: "Which drink?",
+                parts: ["Vote below", { choice: "tea" }],
+                options: ["Tea", "Coffee"],
+                closed: null,
+              },
+            },
+          },
+        },
+      },
+    ];
+
+    it("should keep the text and add the other data as a collapsed JSON callout", async () => {
+      const warnings = [];
+      const report = await chatgptToMarkdown(json(), tempDir, { onWarning: (message) => warnings.push(message) });
+      const markdown = await fs.readFile(path.join(tempDir, "Unknown.md"), "utf8");
+      expect(markdown).not.toContain("[object Object]");
+      expect(markdown).toContain(
+        `## assistant
+
+Which drink?
+Vote below
+
+> [!abstract]- poll
+> \`\`\`json
+> {
+>   "parts": [
+>     {
+>       "choice": "tea"
+>     }
+>   ],
+>   "options": [
+>     "Tea",
+>     "Coffee"
+>   ]
+> }
+> \`\`\`
+`,
+      );
+      expect(markdown).toContain("    Spoken words\n");
+      expect(markdown).toContain('>   "direction": "in"');
+      expect(warnings).toEqual([
+        'Unknown content type "audio_transcription" in conversation "Unknown" (u1)',
+        'Unknown content type "poll" in conversation "Unknown" (u1)',
+      ]);
+      expect(report.warnings).toEqual(warnings);
+      expect(report.unknownContentTypes).toEqual({ audio_transcription: 1, poll: 1 });
+    });
+  });
+
+  describe("code interpreter", () => {
+    const run = (content, aggregate_result) => [
+      {
+        title: "Analysis",
+        conversation_id: "x1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        mapping: {
+          0: {
+            message: {
+              author: { role: "tool", name: "python" },
+              content: { content_type: "execution_output", ...content },
+              metadata: { aggregate_result },
+            },
+          },
+        },
+      },
+    ];
+    const read = () => fs.readFile(path.join(tempDir, "Analysis.md"), "utf8");
+
+    it("should embed charts from the export and render dataframes as tables", async () => {
+      const plain = "   name  total\n0  A&B     3";
+      const html =
+        '<div><table border="1" class="dataframe"><thead><tr><th></th><th>name</th><th>total</th></tr></thead>' +
+        "<tbody><tr><th>0</th><td>A&amp;B</td><td>3</td></tr>" +
+        "<tr><th>1</th><td>x|y</td><td>4</td></tr></tbody></table></div>";
+      const json = run(
+        { text: plain },
+        {
+          status: "success",
+          messages: [{ message_type: "image", image_url: "file-service://file-Chart1", width: 640, height: 480 }],
+          jupyter_messages: [
+            { msg_type: "status", content: { execution_state: "busy" } },
+            { msg_type: "execute_result", content: { data: { "text/plain": plain, "text/html": html } } },
+            {
+              msg_type: "display_data",
+              content: {
+                data: { "text/plain": "<Figure>", "image/vnd.openai.fileservice.png": "file-service://file-Chart1" },
+              },
+            },
+          ],
+        },
+      );
+      const assets = new Map([["file-Chart1-plot.png", async () => Buffer.from("png")]]);
+      await chatgptToMarkdown(json, tempDir, { assets });
+      const markdown = await read();
+      expect(markdown).toContain("|  | name | total |\n| --- | --- | --- |\n| 0 | A&B | 3 |\n| 1 | x\\|y | 4 |");
+      expect(markdown).not.toContain("```\n" + plain);
+      expect(markdown.match(/!\[\[file-Chart1-plot\.png\]\]/g)).toHaveLength(1);
+      expect(await fs.readFile(path.join(tempDir, "attachments", "file-Chart1-plot.png"), "utf8")).toBe("png");
+    });
+
+    it("should show stderr and exceptions in their own callouts", async () => {
+      const json = run(
+        { text: "partial output" },
+        {
+          status: "failed_with_in_kernel_exception",
+          messages: [
+            { message_type: "stream", stream_name: "stderr", text: "\u001b[33mDeprecationWarning\u001b[0m\n" },
+          ],
+          in_kernel_exception: {
+            name: "ZeroDivisionError",
+            args: ["division by zero"],
+            traceback: ["Traceback (most recent call last):\n", "ZeroDivisionError: division by zero\n"],
+          },
+          jupyter_messages: [
+            { msg_type: "error", content: { ename: "ZeroDivisionError", evalue: "division by zero" } },
+          ],
+        },
+      );
+      await chatgptToMarkdown(json, tempDir);
+      expect(await read()).toContain(`\`\`\`
+partial output
+\`\`\`
+
+> [!warning]- stderr
+> \`\`\`
+> DeprecationWarning
+> \`\`\`
+
+> [!failure] ZeroDivisionError: division by zero
+> \`\`\`
+> Traceback (most recent call last):
+> ZeroDivisionError: division by zero
+> \`\`\`
+`);
+    });
+  });
+
+  describe("canvas", () => {
+    const message = (role, content, extra = {}) => ({ author: { role }, content, ...extra });
+    const canvas = (recipient, payload) =>
+      message("assistant", { content_type: "code", language: "json", text: JSON.stringify(payload) }, { recipient });
+    const json = () => {
+      const messages = [
+        message("user", { content_type: "text", parts: ["Draft an essay and a script"] }),
+        canvas("canmore.create_textdoc", { name: "Essay: draft", type: "document", content: "# Essay\n\nFirst." }),
+        message(
+          "tool",
+          { content_type: "text", parts: ["Successfully created text document 'Essay: draft'"] },
+          { metadata: { canvas: { textdoc_id: "doc-1" } }, author: { role: "tool", name: "canmore.create_textdoc" } },
+        ),
+        canvas("canmore.create_textdoc", { name: "Script", type: "code/python", content: "print('hi')" }),
+        canvas("canmore.update_textdoc", {
+          updates: [{ pattern: "hi", multiple: false, replacement: "hello $1" }],
+        }),
+        canvas("canmore.update_textdoc", {
+          textdoc_id: "doc-1",
+          updates: [{ pattern: "First\\.", multiple: false, replacement: "Final draft." }],
+        }),
+      ];
+      return [
+        {
+          title: "Writing",
+          conversation_id: "w1",
+          create_time: 1630454400,
+          update_time: 1630458000,
+          current_node: String(messages.length - 1),
+          mapping: Object.fromEntries(
+            messages.map((message, i) => [i, { parent: i ? String(i - 1) : null, children: [], message }]),
+          ),
+        },
+      ];
+    };
+
+    it("should write each canvas as its own note with the operations applied", async () => {
+      await chatgptToMarkdown(json(), tempDir);
+      const essay = await fs.readFile(path.join(tempDir, "Writing - Essay draft.md"), "utf8");
+      expect(essay).toBe("# Essay\n\nFinal draft.\n");
+      expect(await fs.readFile(path.join(tempDir, "Writing - Script.md"), "utf8")).toBe(
+        "```python\nprint('hello $1')\n```\n",
+      );
+    });
+
+    it("should embed canvases where they are created and link them where they are updated", async () => {
+      await chatgptToMarkdown(json(), tempDir, { sync: true, pathTemplate: "chats/{title}" });
+      const markdown = await fs.readFile(path.join(tempDir, "chats", "Writing.md"), "utf8");
+      expect(markdown).toContain("## assistant\n\n![[chats/Writing - Essay draft|Writing - Essay draft]]\n");
+      expect(markdown).toContain("> [!note] Canvas updated: [[chats/Writing - Script|Writing - Script]]");
+      expect(markdown).not.toContain("Successfully created");
+      expect(markdown).not.toContain("textdoc");
+      const manifest = JSON.parse(await fs.readFile(path.join(tempDir, MANIFEST_FILE), "utf8"));
+      expect(manifest.conversations.w1.extra_paths).toEqual([
+        "chats/Writing - Essay draft.md",
+        "chats/Writing - Script.md",
+      ]);
+    });
+  });
+
+  describe("citations", () => {
+    const cite = (id) => `cite${id}`;
+    const answer = (text, metadata) => ({
+      author: { role: "assistant" },
+      content: { content_type: "text", parts: [text] },
+      metadata,
+    });
+    const reuters = { title: "Reuters", url: "https://reuters.com/a" };
+    const bbc = { title: "BBC", url: "https://bbc.co.uk/b" };
+    const json = () => {
+      const messages = [
+        answer(`Rates rose.${cite("turn0search0")} Markets fell.${cite("turn0search1")}`, {
+          content_references: [
+            { matched_text: cite("turn0search0"), type: "grouped_webpages", items: [reuters] },
+            { matched_text: cite("turn0search1"), type: "grouped_webpages", items: [bbc, reuters], alt: "([BBC](x))" },
+            { matched_text: " ", type: "sources_footnote", sources: [reuters, bbc] },
+          ],
+          search_result_groups: [{ entries: [reuters, { title: "", url: "https://example.com/page" }] }],
+        }),
+        answer(`Still rising.${cite("turn1search0")}`, {
+          content_references: [{ matched_text: cite("turn1search0"), type: "grouped_webpages", items: [bbc] }],
+        }),
+      ];
+      return [
+        {
+          title: "News",
+          conversation_id: "n1",
+          create_time: 1630454400,
+          update_time: 1630458000,
+          current_node: "1",
+          mapping: {
+            0: { parent: null, children: ["1"], message: messages[0] },
+            1: { parent: "0", children: [], message: messages[1] },
+          },
+        },
+      ];
+    };
+    const read = () => fs.readFile(path.join(tempDir, "News.md"), "utf8");
+
+    it("should number sources as footnotes per conversation and list each source once", async () => {
+      await chatgptToMarkdown(json(), tempDir, { citations: "footnotes" });
+      const markdown = await read();
+      expect(markdown).toContain("Rates rose.[^1] Markets fell.[^2][^1]\n");
+      expect(markdown).toContain("Still rising.[^2]\n");
+      expect(markdown.slice(markdown.indexOf("## Sources"))).toBe(`## Sources
+
+[^1]: [Reuters](https://reuters.com/a)
+[^2]: [BBC](https://bbc.co.uk/b)
+
+- [page](https://example.com/page)
+`);
+    });
+
+    it("should replace content references inline and skip missing citation names and details", async () => {
+      const conversations = json();
+      conversations[0].mapping[1].message.metadata.citations = [{ metadata: { url: "https://old.example/x" } }];
+      await chatgptToMarkdown(conversations, tempDir);
+      const markdown = await read();
+      expect(markdown).toContain("Rates rose.[Reuters](https://reuters.com/a) Markets fell.([BBC](x))");
+      expect(markdown).toContain("> [x](https://old.example/x)");
+      expect(markdown).not.toContain("undefined");
+      expect(markdown).not.toContain("## Sources");
+    });
+  });
+
+  describe("message anchors", () => {
+    const json = () => [
+      {
+        title: "Anchors",
+        conversation_id: "m1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        current_node: "2",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: {
+              id: "aaa-111",
+              author: { role: "user" },
+              create_time: 1630454400,
+              content: { content_type: "text", parts: ["Question"] },
+            },
+          },
+          1: {
+            parent: "0",
+            children: ["2"],
+            message: {
+              id: "bbb_222",
+              author: { role: "tool", name: "python" },
+              content: { content_type: "execution_output", text: "42" },
+            },
+          },
+          2: {
+            parent: "1",
+            children: [],
+            message: {
+              id: "ccc-333",
+              author: { role: "assistant" },
+              create_time: 1630454460.5,
+              content: { content_type: "text", parts: ["Answer"] },
+            },
+          },
+        },
+      },
+    ];
+    const read = () => fs.readFile(path.join(tempDir, "Anchors.md"), "utf8");
+
+    it("should add formatted timestamps and block ids to message headings", async () => {
+      await chatgptToMarkdown(json(), tempDir, {
+        messageTimestamps: true,
+        blockIds: true,
+        dateFormat: (date) => date.toISOString(),
+      });
+      const markdown = await read();
+      expect(markdown).toContain("## user · 2021-09-01T00:00:00.000Z ^msg-aaa-111\n\n    Question\n");
+      expect(markdown).toContain("```\n42\n```\n\n^msg-bbb-222\n");
+      expect(markdown).toContain("## assistant · 2021-09-01T00:01:00.500Z ^msg-ccc-333\n\nAnswer\n");
+    });
+
+    it("should leave headings plain by default", async () => {
+      await chatgptToMarkdown(json(), tempDir);
+      const markdown = await read();
+      expect(markdown).toContain("## user\n\n");
+      expect(markdown).toContain("## assistant\n\n");
+      expect(markdown).not.toContain("^msg-");
+    });
+  });
+
+  describe("role styles", () => {
+    const json = (gizmo_id) => [
+      {
+        title: "Styles",
+        conversation_id: "s1",
+        create_time: 1630454400,
+        update_time: 1630458000,
+        gizmo_id,
+        current_node: "1",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: { id: "u1", author: { role: "user" }, content: { content_type: "text", parts: ["Use **bold**"] } },
+          },
+          1: {
+            parent: "0",
+            children: [],
+            message: {
+              id: "a1",
+              author: { role: "assistant" },
+              content: { content_type: "text", parts: ["Done\nTwice"] },
+            },
+          },
+        },
+      },
+    ];
+    const read = () => fs.readFile(path.join(tempDir, "Styles.md"), "utf8");
+
+    it("should render headings with custom labels and unindented prompts", async () => {
+      await chatgptToMarkdown(json("g-tutor"), tempDir, {
+        roleStyle: "heading",
+        roleLabels: { user: "Me", assistant: "{gizmo}" },
+        gizmoNames: { "g-tutor": "Math Tutor" },
+      });
+      expect(await read()).toContain("## Me\n\nUse **bold**\n\n## Math Tutor\n\nDone\nTwice\n");
+    });
+
+    it("should fall back to the role when a label is empty", async () => {
+      await chatgptToMarkdown(json(), tempDir, { roleStyle: "heading", roleLabels: { assistant: "{gizmo}" } });
+      expect(await read()).toContain("## assistant\n\nDone");
+    });
+
+    it("should put each message in a callout of its role's type", async () => {
+      await chatgptToMarkdown(json(), tempDir, {
+        roleStyle: "callout",
+        roleLabels: { assistant: (values) => values.role.toUpperCase() },
+        roleCallouts: { assistant: "success" },
+        blockIds: true,
+      });
+      expect(await read()).toContain(
+        "> [!question] user\n> Use **bold**\n\n^msg-u1\n\n> [!success] ASSISTANT\n> Done\n> Twice\n\n^msg-a1\n",
+      );
+    });
+
+    it("should quote the user's side in the bubble style", async () => {
+      const roleLabels = { user: "Me", assistant: "ChatGPT" };
+      await chatgptToMarkdown(json(), tempDir, { roleStyle: "bubble", roleLabels });
+      expect(await read()).toContain("> **Me**\n>\n> Use **bold**\n\n**ChatGPT**\n\nDone\nTwice\n");
+      await expect(chatgptToMarkdown(json(), tempDir, { roleStyle: "chat" })).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe("locale and time zone", () => {
+    // 23:00 UTC on August 31st is already September 1st in Paris
+    const json = () => [
+      {
+        title: "Réflexion",
+        conversation_id: "l1",
+        create_time: 1630450800,
+        update_time: 1630450800,
+        current_node: "1",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: {
+              author: { role: "assistant" },
+              create_time: 1630450800,
+              content: { content_type: "text", parts: ["Je réfléchis"] },
+              metadata: { reasoning_status: "is_reasoning" },
+            },
+          },
+          1: {
+            parent: "0",
+            children: [],
+            message: {
+              author: { role: "assistant" },
+              create_time: 1630450860,
+              content: { content_type: "text", parts: ["Voilà"] },
+            },
+          },
+        },
+      },
+    ];
+
+    it("should date notes, paths and message times in the time zone with localized labels", async () => {
+      await chatgptToMarkdown(json(), tempDir, {
+        locale: "fr-FR",
+        timeZone: "Europe/Paris",
+        pathTemplate: "{date} {title}",
+        messageTimestamps: true,
+        index: { groupByGizmo: true },
+      });
+      const markdown = await fs.readFile(path.join(tempDir, "2021-09-01 Réflexion.md"), "utf8");
+      expect(markdown).toContain("create_time: 2021-09-01T01:00:00.000+02:00\n");
+      expect(markdown).toContain("> [!info]- Raisonnement\n");
+      expect(markdown).toContain("## assistant · 1 sept. 2021, 1:01\n");
+      const index = await fs.readFile(path.join(tempDir, "ChatGPT Index.md"), "utf8");
+      expect(index).toContain("## Sans GPT personnalisé\n\n### 2021-09\n\n");
+      expect(index).toContain("- [[2021-09-01 Réflexion]] · 1 sept. 2021, 1:00 · 2 messages\n");
+    });
+
+    it("should keep UTC dates by default and let labels be overridden", async () => {
+      await chatgptToMarkdown(json(), tempDir, { pathTemplate: "{date} {title}", strings: { reasoning: "Thoughts" } });
+      const markdown = await fs.readFile(path.join(tempDir, "2021-08-31 Réflexion.md"), "utf8");
+      expect(markdown).toContain("create_time: 2021-08-31T23:00:00.000Z\n");
+      expect(markdown).toContain("> [!info]- Thoughts\n");
+    });
+
+    it("should give message times in UTC too, whatever the system time zone", async () => {
+      const systemTimeZone = process.env.TZ;
+      process.env.TZ = "America/Los_Angeles";
+      try {
+        await chatgptToMarkdown(json(), tempDir, { locale: "fr-FR", messageTimestamps: true });
+        await chatgptToMarkdown(json(), path.join(tempDir, "en"), { messageTimestamps: true });
+      } finally {
+        if (systemTimeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = systemTimeZone;
+      }
+      const markdown = await fs.readFile(path.join(tempDir, "Réflexion.md"), "utf8");
+      expect(markdown).toContain("create_time: 2021-08-31T23:00:00.000Z\n");
+      expect(markdown).toContain("## assistant · 31 août 2021, 23:01\n");
+      const english = await fs.readFile(path.join(tempDir, "en", "Réflexion.md"), "utf8");
+      expect(english).toContain("## assistant · Aug 31, 2021, 11:01 PM\n");
+    });
+  });
+
+  describe("flavors", () => {
+    const json = () => [
+      {
+        title: "Flavors",
+        conversation_id: "f1",
+        create_time: 1630450800,
+        update_time: 1630450800,
+        current_node: "2",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: {
+              id: "u1",
+              author: { role: "user" },
+              content: { content_type: "text", parts: ["Why?"] },
+            },
+          },
+          1: {
+            parent: "0",
+            children: ["2"],
+            message: {
+              author: { role: "assistant" },
+              content: { content_type: "text", parts: ["##### Thinking\nStep one\n\nStep two"] },
+              metadata: { reasoning_status: "is_reasoning" },
+            },
+          },
+          2: {
+            parent: "1",
+            children: [],
+            message: {
+              id: "a1",
+              author: { role: "assistant" },
+              content: { content_type: "text", parts: ["Because\n\n```js\nx;\n\ny;\n```"] },
+            },
+          },
+        },
+      },
+    ];
+    const options = { pathTemplate: "{year}/{title}", blockIds: true, frontMatter: { tags: ["chat"] }, index: true };
+    const read = (name) => fs.readFile(path.join(tempDir, name), "utf8");
+
+    it("should write collapsed callouts as details and links as relative Markdown links in commonmark", async () => {
+      await chatgptToMarkdown(json(), tempDir, { ...options, flavor: "commonmark" });
+      const markdown = await read("2021/Flavors.md");
+      expect(markdown).toContain("---\ntags:\n  - chat\n---\n");
+      expect(markdown).toContain("## user <a id=\"msg-u1\"></a>\n");
+      expect(markdown).toContain(
+        "<details>\n<summary>Reasoning</summary>\n\n<details>\n<summary>Thinking</summary>\n\n" +
+          "Step one\n\nStep two\n\n</details>\n\n</details>\n\n\n## assistant",
+      );
+      expect(markdown).not.toContain("[!");
+      expect(await read("ChatGPT Index.md")).toContain("- [Flavors](2021/Flavors.md) · ");
+    });
+
+    it("should write Logseq outlines with page properties", async () => {
+      await chatgptToMarkdown(json(), tempDir, { ...options, flavor: "logseq" });
+      const markdown = await read("2021/Flavors.md");
+      expect(markdown).toBe(
+        "tags:: chat\n\n" +
+          "- # Flavors\n" +
+          "\t- ## user\n" +
+          "\t\t- Why?\n" +
+          "\t\t- **Reasoning**\n\t\t  collapsed:: true\n" +
+          "\t\t\t- **Thinking**\n\t\t\t  collapsed:: true\n" +
+          "\t\t\t\t- Step one\n\t\t\t\t- Step two\n" +
+          "\t- ## assistant\n" +
+          "\t\t- Because\n" +
+          "\t\t- ```js\n\t\t  x;\n\t\t  \n\t\t  y;\n\t\t  ```\n",
+      );
+      expect(await read("ChatGPT Index.md")).toContain("\t\t- [[Flavors]] · ");
+    });
+
+    it("should reject unknown flavors", async () => {
+      await expect(chatgptToMarkdown(json(), tempDir, { flavor: "roam" })).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe("html site", () => {
+    const json = () => [
+      {
+        title: "Old",
+        conversation_id: "h1",
+        create_time: 1630450800,
+        current_node: "0",
+        mapping: {
+          0: {
+            parent: null,
+            children: [],
+            message: { author: { role: "user" }, content: { content_type: "text", parts: ["Hi"] } },
+          },
+        },
+      },
+      {
+        title: "New <chat>",
+        conversation_id: "h2",
+        create_time: 1640995200,
+        current_node: "2",
+        mapping: {
+          0: {
+            parent: null,
+            children: ["1"],
+            message: { author: { role: "user" }, content: { content_type: "text", parts: ["Plot **this**"] } },
+          },
+          1: {
+            parent: "0",
+            children: ["2"],
+            message: {
+              author: { role: "assistant" },
+              content: { content_type: "text", parts: ["Thinking hard"] },
+              metadata: { reasoning_status: "is_reasoning" },
+            },
+          },
+          2: {
+            parent: "1",
+            children: [],
+            message: {
+              author: { role: "assistant" },
+              content: { content_type: "text", parts: ["```js\nconst x = 1;\n```"] },
+            },
+          },
+        },
+      },
+    ];
+
+    it("should write a page per conversation, an index newest first and a search index", async () => {
+      const report = await chatgptToHtml(json(), tempDir, { onWarning: () => {} });
+      const files = ["New chat.html", "Old.html", "index.html", "search-index.js", "style.css"];
+      expect(report.created.sort()).toEqual(files);
+
+      const page = await fs.readFile(path.join(tempDir, "New chat.html"), "utf8");
+      expect(page).toContain("<title>New &lt;chat&gt;</title>");
+      expect(page).toContain(
+        '<div class="callout callout-user">\n<div class="callout-title">user</div>\n<p>Plot <strong>this</strong></p>',
+      );
+      expect(page).toContain('<details class="callout callout-info">\n<summary>Reasoning</summary>');
+      expect(page).toContain('<span class="tok-keyword">const</span> x = <span class="tok-number">1</span>;');
+
+      const index = await fs.readFile(path.join(tempDir, "index.html"), "utf8");
+      expect(index.indexOf('href="New%20chat.html"')).toBeLessThan(index.indexOf('href="Old.html"'));
+      expect(index).toContain('<script src="search-index.js"></script>');
+      const search = await fs.readFile(path.join(tempDir, "search-index.js"), "utf8");
+      expect(search).toMatch(/^window\.SEARCH_INDEX = \[/);
+      expect(search).toContain('"title":"Old","url":"Old.html","text":"Old user Hi"');
+    });
+
+    it("should translate the index page", async () => {
+      await chatgptToHtml(json(), tempDir, { locale: "fr-FR" });
+      const index = await fs.readFile(path.join(tempDir, "index.html"), "utf8");
+      expect(index).toContain('<html lang="fr">');
+      expect(index).toContain("<h1>Archive ChatGPT</h1>");
+      expect(index).toContain('placeholder="Rechercher dans les conversations"');
+    });
+  });
+
+  describe("jsonl", () => {
+    const node = (id, parent, child, role, text, extra = {}) => ({
+      parent,
+      children: child ? [child] : [],
+      message: {
+        author: { role, ...extra.author },
+        content: { content_type: "text", parts: [text] },
+        ...extra.message,
+      },
+    });
+    const json = () => [
+      {
+        title: "Training",
+        conversation_id: "j1",
+        current_node: "7",
+        mapping: {
+          0: node("0", null, "1", "system", "Be brief"),
+          1: node("1", "0", "2", "user", "Add 1 and 2"),
+          2: node("2", "1", "3", "assistant", "Using Python", {
+            message: { metadata: { reasoning_status: "is_reasoning" } },
+          }),
+          3: node("3", "2", "4", "assistant", "1 + 2", { message: { recipient: "python" } }),
+          4: node("4", "3", "5", "tool", "3", { author: { name: "python" } }),
+          5: node("5", "4", "6", "assistant", "It is 3"),
+          6: node("6", "5", "7", "user", "Thanks"),
+          7: node("7", "6", null, "assistant", "You're welcome"),
+        },
+      },
+      {
+        title: "Unanswered",
+        conversation_id: "j2",
+        current_node: "0",
+        mapping: { 0: node("0", null, null, "user", "Hello?") },
+      },
+    ];
+    const readLines = async (file) =>
+      (await fs.readFile(file, "utf8"))
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+
+    it("should write a line per conversation with an answer", async () => {
+      const file = path.join(tempDir, "data", "train.jsonl");
+      expect(await chatgptToJsonl(json(), file)).toEqual({ conversations: 1, lines: 1, warnings: [] });
+      const [line] = await readLines(file);
+      expect(line.messages).toEqual([
+        { role: "system", content: "Be brief" },
+        { role: "user", content: "Add 1 and 2" },
+        { role: "assistant", content: "Using Python" },
+        {
+          role: "assistant",
+          content: null,
+          tool_calls: [{ id: "call_4", type: "function", function: { name: "python", arguments: '{"input":"1 + 2"}' } }],
+        },
+        { role: "tool", tool_call_id: "call_4", content: "3" },
+        { role: "assistant", content: "It is 3" },
+        { role: "user", content: "Thanks" },
+        { role: "assistant", content: "You're welcome" },
+      ]);
+      expect(line.tools).toEqual([{ type: "function", function: { name: "python", parameters: { type: "object" } } }]);
+    });
+
+    it("should give tool messages whose call is hidden a call of their own", async () => {
+      const file = path.join(tempDir, "browsing.jsonl");
+      const conversation = {
+        title: "Browsing",
+        conversation_id: "j3",
+        current_node: "3",
+        mapping: {
+          0: node("0", null, "1", "user", "Weather in Paris?"),
+          1: node("1", "0", "2", "assistant", '{"search_query": [{"q": "Paris weather"}]}', {
+            message: { recipient: "web.run" },
+          }),
+          2: node("2", "1", "3", "tool", "Sunny, 24°C", { author: { name: "web.run" } }),
+          3: node("3", "2", null, "assistant", "It is sunny"),
+        },
+      };
+      await chatgptToJsonl([conversation], file);
+      const [line] = await readLines(file);
+      expect(line.messages.slice(1, 3)).toEqual([
+        {
+          role: "assistant",
+          content: null,
+          tool_calls: [{ id: "call_1", type: "function", function: { name: "web_run", arguments: "{}" } }],
+        },
+        { role: "tool", tool_call_id: "call_1", content: "Sunny, 24°C" },
+      ]);
+      expect(line.tools.map((tool) => tool.function.name)).toEqual(["web_run"]);
+    });
+
+    it("should write a line per turn without tools, reasoning and system messages", async () => {
+      const file = path.join(tempDir, "turns.jsonl");
+      await chatgptToJsonl(json(), file, { split: "turn", tools: false, reasoning: false, system: false });
+      expect((await readLines(file)).map((line) => line.messages.map((message) => message.content))).toEqual([
+        ["Add 1 and 2", "It is 3"],
+        ["Add 1 and 2", "It is 3", "Thanks", "You're welcome"],
+      ]);
+    });
+
+    it("should leave out Code Interpreter calls along with their output without tools", async () => {
+      const file = path.join(tempDir, "code.jsonl");
+      const conversation = {
+        title: "Code",
+        conversation_id: "j4",
+        current_node: "3",
+        mapping: {
+          0: node("0", null, "1", "user", "What is 2 ** 10?"),
+          1: node("1", "0", "2", "assistant", "", {
+            message: { recipient: "python", content: { content_type: "code", language: "unknown", text: "2 ** 10" } },
+          }),
+          2: node("2", "1", "3", "tool", "", {
+            author: { name: "python" },
+            message: { content: { content_type: "execution_output", text: "1024" } },
+          }),
+          3: node("3", "2", null, "assistant", "It is 1024"),
+        },
+      };
+      await chatgptToJsonl([conversation], file, { tools: false });
+      const [line] = await readLines(file);
+      expect(line.messages).toEqual([
+        { role: "user", content: "What is 2 ** 10?" },
+        { role: "assistant", content: "It is 1024" },
+      ]);
+      expect(line.tools).toBeUndefined();
+    });
+
+    it("should only write conversations whose notes are flagged", async () => {
+      const notesDir = path.join(tempDir, "notes");
+      await fs.mkdir(path.join(notesDir, "2024"), { recursive: true });
+      const note = (id, favorite) =>
+        `---\nconversation_id: ${id}\nfavorite: ${favorite}\nvalidated: false\n---\n\n# Note\n`;
+      await fs.writeFile(path.join(notesDir, "2024", "Training.md"), note("j1", true));
+      await fs.writeFile(path.join(notesDir, "Unanswered.md"), note("j2", false));
+      const file = path.join(tempDir, "favorites.jsonl");
+      expect((await chatgptToJsonl(json(), file, { notesDir, favorite: true })).lines).toBe(1);
+      expect((await chatgptToJsonl(json(), file, { notesDir, validated: true })).lines).toBe(0);
+      await expect(chatgptToJsonl(json(), file, { favorite: true })).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe("other exports", () => {
+    it("should convert a Claude export like a ChatGPT one", async () => {
+      const claude = [
+        {
+          uuid: "c1",
+          name: "Trip",
+          created_at: "2025-03-01T10:00:00Z",
+          updated_at: "2025-03-01T10:05:00Z",
+          chat_messages: [
+            { uuid: "m1", sender: "human", content: [{ type: "text", text: "Plan a trip" }] },
+            {
+              uuid: "m2",
+              sender: "assistant",
+              content: [
+                { type: "thinking", thinking: "Lyon is close" },
+                { type: "text", text: "Go to Lyon." },
+              ],
+            },
+          ],
+        },
+      ];
+      await fs.writeFile(path.join(tempDir, "conversations.json"), JSON.stringify(claude));
+      const outputDir = path.join(tempDir, "notes");
+      const { conversations } = await loadExport(path.join(tempDir, "conversations.json"), { stream: true });
+      await chatgptToMarkdown(conversations, outputDir);
+      const note = await fs.readFile(path.join(outputDir, "Trip.md"), "utf8");
+      expect(note).toContain("conversation_id: c1\n");
+      expect(note).toContain("source: https://claude.ai/chat/c1\n");
+      expect(note).toContain("Plan a trip");
+      expect(note).toContain("> [!info]- Reasoning\n");
+      expect(note).toContain("Lyon is close");
+      expect(note).toContain("Go to Lyon.");
+    });
+
+    it("should convert untitled Claude chats", async () => {
+      const message = { uuid: "m1", sender: "human", created_at: "2025-03-01T10:00:00Z", text: "Hello there" };
+      const claude = [{ uuid: "c2", name: "", chat_messages: [message] }];
+      await chatgptToMarkdown(adaptConversations(claude), tempDir);
+      expect(await fs.readFile(path.join(tempDir, "Hello there.md"), "utf8")).toContain("# Hello there\n");
+      const untitled = { title: null, conversation_id: "n1", create_time: 1630454400, update_time: 1630454400 };
+      await chatgptToMarkdown([{ ...untitled, mapping: {} }], path.join(tempDir, "null"));
+      expect(await fs.readdir(path.join(tempDir, "null"))).toEqual(["n1.md"]);
+    });
+
+    it("should convert the Gemini activity of a Takeout export", async () => {
+      const activity = [
+        {
+          header: "Gemini Apps",
+          title: "Prompted What is 2+2?",
+          time: "2025-03-01T10:00:00Z",
+          products: ["Gemini Apps"],
+          safeHtmlItem: [{ html: "<p>It is <b>4</b>.</p>" }],
+        },
+      ];
+      const dir = path.join(tempDir, "Takeout", "My Activity", "Gemini Apps");
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, "MyActivity.json"), JSON.stringify(activity));
+      const { conversations } = await loadExport(path.join(dir, "MyActivity.json"));
+      await chatgptToMarkdown(conversations, path.join(tempDir, "notes"));
+      const note = await fs.readFile(path.join(tempDir, "notes", "What is 2+2.md"), "utf8");
+      expect(note).toContain("It is **4**.");
+      expect(note).not.toContain("chatgpt.com");
+    });
+  });
+
+  describe("merge", () => {
+    const conversation = (text, overrides = {}) => ({
+      title: "Reviewed",
+      conversation_id: "r1",
+      create_time: 1630454400,
+      update_time: 1630458000,
+      mapping: {
+        0: { message: { author: { role: "assistant" }, content: { content_type: "text", parts: [text] } } },
+      },
+      ...overrides,
+    });
+    const filePath = () => path.join(tempDir, "Reviewed.md");
+    const review = async () => {
+      const note = await fs.readFile(filePath(), "utf8");
+      const edited = note
+        .replace("favorite: false", "favorite: true")
+        .replace("tags: []", "tags:\n  - reviewed")
+        .replace("---\n\n#", "reviewer: Ana\n---\n\n#");
+      await fs.writeFile(filePath(), `${edited}\n## Notes\n\nCheck the second answer.\n`, "utf8");
+    };
+
+    it("should keep user-owned fields, tags and notes and regenerate the rest", async () => {
+      await chatgptToMarkdown([conversation("First answer")], tempDir);
+      await review();
+      const report = await chatgptToMarkdown(
+        [conversation("```python\nprint(1)\n```", { update_time: 1630459000 })],
+        tempDir,
+        { merge: true },
+      );
+      expect(report.merged).toEqual(["Reviewed.md"]);
+      const note = await fs.readFile(filePath(), "utf8");
+      expect(note).toMatch(/^---\ncreate_time: 2021-09-01T00:00:00.000Z\nupdate_time: 2021-09-01T01:16:40.000Z\n/);
+      expect(note).toContain("tags:\n  - reviewed\n  - has/code\n  - lang/python\n");
+      expect(note).toContain("favorite: true\n");
+      expect(note).toContain("source: https://chatgpt.com/c/r1\nreviewer: Ana\n---\n\n# Reviewed\n");
+      expect(note).toContain("print(1)");
+      expect(note).not.toContain("First answer");
+      expect(note.endsWith("```\n\n## Notes\n\nCheck the second answer.\n")).toBe(true);
+    });
+
+    it("should keep the notes past marker lines that the conversation contains", async () => {
+      await chatgptToMarkdown([conversation("## Review\n\nAnswer")], tempDir);
+      await fs.appendFile(filePath(), "\n## Review\n\nMine\n", "utf8");
+      await chatgptToMarkdown([conversation("## Review\n\nNew answer")], tempDir, { merge: { marker: "## Review" } });
+      const note = await fs.readFile(filePath(), "utf8");
+      expect(note).toContain("## Review\n\nNew answer\n\n## Review\n\nMine\n");
+      expect(note.match(/## Review/g)).toHaveLength(2);
+    });
+
+    it("should keep the notes when the new messages add a marker line", async () => {
+      await chatgptToMarkdown([conversation("Answer")], tempDir);
+      await fs.appendFile(filePath(), "\n## Notes\n\nMy review\n", "utf8");
+      await chatgptToMarkdown([conversation("Answer\n\n## Notes\n\nTheirs")], tempDir, { merge: true });
+      const note = await fs.readFile(filePath(), "utf8");
+      expect(note).toContain("Answer\n\n## Notes\n\nTheirs\n\n## Notes\n\nMy review\n");
+    });
+
+    it("should not copy marker lines of the messages into the notes", async () => {
+      const answer = "Answer\n\n## Notes\n\nTheirs";
+      await chatgptToMarkdown([conversation(answer)], tempDir);
+      await chatgptToMarkdown([conversation(answer)], tempDir, { merge: true });
+      expect((await fs.readFile(filePath(), "utf8")).match(/## Notes/g)).toHaveLength(1);
+    });
+
+    it("should keep tags written as a flow sequence", async () => {
+      await chatgptToMarkdown([conversation("```python\nprint(1)\n```")], tempDir);
+      const note = await fs.readFile(filePath(), "utf8");
+      await fs.writeFile(filePath(), note.replace(/tags:\n(  - .*\n)+/, 'tags: [reviewed, "to do", has/code]\n'));
+      await chatgptToMarkdown([conversation("```python\nprint(1)\n```")], tempDir, { merge: true });
+      expect(await fs.readFile(filePath(), "utf8")).toContain(
+        "tags:\n  - reviewed\n  - to do\n  - has/code\n  - lang/python\n",
+      );
+    });
+
+    it("should only keep the chosen user fields", async () => {
+      await chatgptToMarkdown([conversation("Answer")], tempDir);
+      await review();
+      await chatgptToMarkdown([conversation("Answer")], tempDir, { merge: { userFields: ["completed"] } });
+      expect(await fs.readFile(filePath(), "utf8")).toContain("favorite: false\n");
+    });
+
+    it("should merge into a renamed note when syncing", async () => {
+      await chatgptToMarkdown([conversation("Answer")], tempDir, { sync: true });
+      await review();
+      await chatgptToMarkdown([conversation("Answer", { title: "Renamed", update_time: 1630459000 })], tempDir, {
+        sync: true,
+        merge: true,
+      });
+      expect(await fs.readdir(tempDir)).toEqual([MANIFEST_FILE, "Renamed.md"]);
+      expect(await fs.readFile(path.join(tempDir, "Renamed.md"), "utf8")).toContain("Check the second answer.");
+    });
+
+    it("should not merge a conversation into another one's note with the same title", async () => {
+      const other = (text) => conversation(text, { conversation_id: "r2", create_time: 1630540800 });
+      await chatgptToMarkdown([conversation("First answer"), other("Other answer")], tempDir);
+      await review();
+      const report = await chatgptToMarkdown([other("Other answer, edited")], tempDir, { merge: true });
+      expect(report.merged).toEqual(["Reviewed (2021-09-02).md"]);
+      const note = await fs.readFile(filePath(), "utf8");
+      expect(note).toContain("First answer");
+      expect(note).toContain("Check the second answer.");
+      const otherNote = await fs.readFile(path.join(tempDir, "Reviewed (2021-09-02).md"), "utf8");
+      expect(otherNote).toContain("conversation_id: r2\n");
+      expect(otherNote).toContain("favorite: false\n");
+      expect(otherNote).not.toContain("Check the second answer.");
+    });
+
+    it("should find a renamed note by its conversation_id", async () => {
+      await chatgptToMarkdown([conversation("Answer")], tempDir);
+      await review();
+      const report = await chatgptToMarkdown([conversation("Answer", { title: "Renamed" })], tempDir, { merge: true });
+      expect(report.removed).toEqual(["Reviewed.md"]);
+      expect(await fs.readdir(tempDir)).toEqual(["Renamed.md"]);
+      expect(await fs.readFile(path.join(tempDir, "Renamed.md"), "utf8")).toContain("Check the second answer.");
+    });
+
+    it("should reject the logseq flavor", async () => {
+      await expect(chatgptToMarkdown([], tempDir, { merge: true, flavor: "logseq" })).rejects.toThrow(TypeError);
+    });
+  });
 });
@@ -0,0 +1,109 @@
+const QUOTE = 34; // "
+const BACKSLASH = 92; // \
+const COMMA = 44; // ,
+const OPEN_BRACKET = 91; // [
+const CLOSE_BRACKET = 93; // ]
+const OPEN_BRACE = 123; // {
+const CLOSE_BRACE = 125; // }
+
+/**
+ * Parses a JSON array incrementally, yielding its elements one at a time. Only one element is held in memory, so
+ * exports far larger than Node's maximum string length can be converted.
+ * @param {AsyncIterable<Buffer|string>} source - The JSON text in chunks, e.g. a readable stream.
+ * @returns {AsyncGenerator<*>} - The parsed elements of the top-level array.
+ * @example
+ * for await (const conversation of parseJsonArray(fs.createReadStream("conversations.json"))) {
+ *   console.log(conversation.title);
+ * }
+ */
+export async function* parseJsonArray(source) {
+  const decoder = new TextDecoder("utf-8");
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let done = false;
+  // The text of the element being read, split across chunks
+  let pieces = [];
+  let hasElement = false;
+
+  /**
+   * Parses the element read so far.
+   * @returns {*} - The parsed element.
+   */
+  function flush() {
+    const text = pieces.join("");
+    pieces = [];
+    hasElement = false;
+    return JSON.parse(text);
+  }
+
+  for await (const chunk of source) {
+    const text = typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    let start = hasElement ? 0 : -1;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (code === BACKSLASH) escaped = true;
+        else if (code === QUOTE) inString = false;
+        continue;
+      }
+      if (code <= 32) continue;
+      if (done) throw new SyntaxError("Unexpected data after the end of the JSON array");
+      if (depth === 0) {
+        if (code !== OPEN_BRACKET) throw new SyntaxError("Expected the JSON to be an array");
+        depth = 1;
+        continue;
+      }
+      if (depth === 1 && (code === COMMA || code === CLOSE_BRACKET)) {
+        if (hasElement) {
+          pieces.push(text.slice(start, i));
+          start = -1;
+          yield flush();
+        } else if (code === COMMA) {
+          throw new SyntaxError("Unexpected comma in JSON array");
+        }
+        if (code === CLOSE_BRACKET) {
+          depth = 0;
+          done = true;
+        }
+        continue;
+      }
+      if (!hasElement) {
+        hasElement = true;
+        start = i;
+      }
+      if (code === QUOTE) inString = true;
+      else if (code === OPEN_BRACE || code === OPEN_BRACKET) depth++;
+      else if (code === CLOSE_BRACE || code === CLOSE_BRACKET) depth--;
+    }
+    if (hasElement) pieces.push(text.slice(start));
+  }
+  if (!done) throw new SyntaxError("Unexpected end of JSON input");
+}
+
+/**
+ * Marks the async iterables that start over each time they are iterated.
+ */
+const REREADABLE = Symbol("rereadable");
+
+/**
+ * Creates an async iterable that starts over each time it is iterated, e.g. by reopening a file, so that it can be
+ * read more than once. Converters read such streams an extra time for what must be known up front, such as note names.
+ * @param {Function} open - Returns a fresh async iterable of the elements.
+ * @returns {AsyncIterable<*>} - The re-readable iterable.
+ * @example
+ * const conversations = rereadable(() => parseJsonArray(fs.createReadStream("conversations.json")));
+ */
+export function rereadable(open) {
+  return { [REREADABLE]: true, [Symbol.asyncIterator]: () => open()[Symbol.asyncIterator]() };
+}
+
+/**
+ * Checks whether an async iterable was made re-readable with rereadable.
+ * @param {*} iterable - The iterable.
+ * @returns {boolean} - Whether it can be iterated again from the start.
+ */
+export function isRereadable(iterable) {
+  return Boolean(iterable?.[REREADABLE]);
+}
@@ -0,0 +1,58 @@
+// stream.test.js
+
+import { isRereadable, parseJsonArray, rereadable } from "./stream";
+
+/**
+ * Collects the elements parsed from the given chunks.
+ * @param {(string|Buffer)[]} chunks - The JSON text in chunks.
+ * @returns {Promise<Array>} - The parsed elements.
+ */
+async function parse(chunks) {
+  const elements = [];
+  for await (const element of parseJsonArray(chunks)) elements.push(element);
+  return elements;
+}
+
+describe("parseJsonArray", () => {
+  it("should yield each element of the array", async () => {
+    const json = [
+      { title: "A", mapping: { x: { children: [] } } },
+      { title: 'B "quoted" ]}', n: [1, [2]] },
+      3,
+      "s",
+      null,
+    ];
+    expect(await parse([JSON.stringify(json, null, 2)])).toEqual(json);
+  });
+
+  it("should handle elements, strings and multi-byte characters split across chunks", async () => {
+    const bytes = Buffer.from(JSON.stringify([{ text: 'café \\ "ok" 🎉' }, { text: "[{,}]" }]));
+    const chunks = [...bytes].map((byte) => Buffer.from([byte]));
+    expect(await parse(chunks)).toEqual([{ text: 'café \\ "ok" 🎉' }, { text: "[{,}]" }]);
+  });
+
+  it("should parse an empty array", async () => {
+    expect(await parse([" [ ", " ] \n"])).toEqual([]);
+  });
+
+  it("should reject input that is not a complete array", async () => {
+    await expect(parse(['{"title": "A"}'])).rejects.toThrow(SyntaxError);
+    await expect(parse(['[{"title": "A"},'])).rejects.toThrow("Unexpected end of JSON input");
+    await expect(parse(['[{"title": "A"}] x'])).rejects.toThrow(SyntaxError);
+  });
+});
+
+describe("rereadable", () => {
+  it("should start over each time it is iterated", async () => {
+    const stream = rereadable(() => parseJsonArray(['[{"n": 1},', '{"n": 2}]']));
+    const read = async () => {
+      const elements = [];
+      for await (const element of stream) elements.push(element.n);
+      return elements;
+    };
+    expect(await read()).toEqual([1, 2]);
+    expect(await read()).toEqual([1, 2]);
+    expect(isRereadable(stream)).toBe(true);
+    expect(isRereadable(parseJsonArray(["[]"]))).toBe(false);
+  });
+});
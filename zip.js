@@ -0,0 +1,167 @@
+import { createReadStream, promises as fs } from "fs";
+import { pipeline, Readable } from "stream";
+import { promisify } from "util";
+import zlib from "zlib";
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Reads `length` bytes at `position` from an open file.
+ * @param {FileHandle} handle - The open file.
+ * @param {number} position - The byte offset to read from.
+ * @param {number} length - The number of bytes to read.
+ * @returns {Promise<Buffer>} - The bytes read.
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Locates the central directory from the end-of-central-directory record, following the zip64 locator if present.
+ * @param {FileHandle} handle - The open zip file.
+ * @param {number} size - The size of the zip file.
+ * @returns {Promise<{offset: number, size: number, count: number}>} - The central directory's position and entries.
+ */
+async function findCentralDirectory(handle, size) {
+  // The record is 22 bytes followed by a comment of up to 65535 bytes
+  const tailStart = Math.max(0, size - 22 - 0xffff);
+  const tail = await readAt(handle, tailStart, size - tailStart);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip file: end of central directory not found");
+
+  const directory = {
+    count: tail.readUInt16LE(eocd + 10),
+    size: tail.readUInt32LE(eocd + 12),
+    offset: tail.readUInt32LE(eocd + 16),
+  };
+  if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64 = await readAt(handle, Number(tail.readBigUInt64LE(eocd - 12)), 56);
+    if (zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) throw new Error("Corrupt zip64 end of central directory");
+    directory.count = Number(zip64.readBigUInt64LE(32));
+    directory.size = Number(zip64.readBigUInt64LE(40));
+    directory.offset = Number(zip64.readBigUInt64LE(48));
+  }
+  return directory;
+}
+
+/**
+ * Parses the central directory into entry descriptors.
+ * @param {Buffer} buffer - The central directory.
+ * @returns {Map<string, Object>} - Entries keyed by their path inside the archive. Directories are skipped.
+ */
+function parseCentralDirectory(buffer) {
+  const entries = new Map();
+  let pos = 0;
+  while (pos + 46 <= buffer.length && buffer.readUInt32LE(pos) === CENTRAL_SIGNATURE) {
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLength);
+    const entry = {
+      method: buffer.readUInt16LE(pos + 10),
+      compressedSize: buffer.readUInt32LE(pos + 20),
+      size: buffer.readUInt32LE(pos + 24),
+      localOffset: buffer.readUInt32LE(pos + 42),
+    };
+
+    // Sizes and offsets that do not fit in 32 bits are stored, in this order, in the zip64 extra field
+    let extra = pos + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = buffer.readUInt16LE(extra);
+      const length = buffer.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        for (const key of ["size", "compressedSize", "localOffset"]) {
+          if (entry[key] !== 0xffffffff) continue;
+          entry[key] = Number(buffer.readBigUInt64LE(field));
+          field += 8;
+        }
+      }
+      extra += 4 + length;
+    }
+
+    if (!name.endsWith("/")) entries.set(name, entry);
+    pos = extraEnd + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Opens a zip archive and lists its entries. Entry contents are read on demand, so large archives are not loaded
+ * into memory. Only stored and deflated entries are supported, which is what ChatGPT exports use.
+ * @param {string} filePath - The path to the zip file.
+ * @returns {Promise<{entries: string[], read: Function, stream: Function}>} - The entry paths, `read(name)` which
+ *   resolves to the entry's uncompressed contents as a Buffer, and `stream(name)` which resolves to a readable
+ *   stream of them.
+ * @example
+ * const zip = await openZip("export.zip");
+ * const json = JSON.parse(await zip.read("conversations.json"));
+ */
+export async function openZip(filePath) {
+  const handle = await fs.open(filePath, "r");
+  let entries;
+  try {
+    const { size } = await handle.stat();
+    const directory = await findCentralDirectory(handle, size);
+    entries = parseCentralDirectory(await readAt(handle, directory.offset, directory.size));
+  } finally {
+    await handle.close();
+  }
+
+  /**
+   * Locates an entry's compressed data, which follows its local file header.
+   * @param {string} name - The entry path.
+   * @returns {Promise<{entry: Object, dataOffset: number}>} - The entry descriptor and the offset of its data.
+   */
+  async function locate(name) {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`No such entry in ${filePath}: ${name}`);
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(`Unsupported compression method ${entry.method} for zip entry: ${name}`);
+    }
+    const handle = await fs.open(filePath, "r");
+    try {
+      const header = await readAt(handle, entry.localOffset, 30);
+      if (header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry: ${name}`);
+      return { entry, dataOffset: entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28) };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return {
+    entries: [...entries.keys()],
+    async read(name) {
+      const { entry, dataOffset } = await locate(name);
+      const handle = await fs.open(filePath, "r");
+      try {
+        const data = await readAt(handle, dataOffset, entry.compressedSize);
+        return entry.method === 8 ? inflateRaw(data) : data;
+      } finally {
+        await handle.close();
+      }
+    },
+    async stream(name) {
+      const { entry, dataOffset } = await locate(name);
+      if (!entry.compressedSize) return Readable.from([]);
+      const raw = createReadStream(filePath, { start: dataOffset, end: dataOffset + entry.compressedSize - 1 });
+      // pipeline() destroys both streams and surfaces read errors on the returned one
+      return entry.method === 8 ? pipeline(raw, zlib.createInflateRaw(), () => {}) : raw;
+    },
+  };
+}